@@ -15,10 +15,19 @@
 
 import {
     processDroppedFiles,
-    callPopup
+    callPopup,
+    saveSettingsDebounced,
+    messageFormatting,
+    name1
 } from "../../../../script.js";
-import { debounce } from "../../../utils.js";
-import { extension_settings } from "../../../extensions.js";
+import { debounce, download, isTrueBoolean } from "../../../utils.js";
+import { extension_settings, getContext, writeExtensionField } from "../../../extensions.js";
+import { tags, createNewTag, addTagsToEntity } from "../../../tags.js";
+import { world_names, saveWorldInfo, convertCharacterBook, updateWorldInfoList } from "../../../world-info.js";
+import { SlashCommandParser } from "../../../slash-commands/SlashCommandParser.js";
+import { SlashCommand } from "../../../slash-commands/SlashCommand.js";
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from "../../../slash-commands/SlashCommandArgument.js";
+import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from "../../../popup.js";
 
 // ==========================================================================
 // Constants and Configuration
@@ -29,9 +38,18 @@ const extensionName = "SillyTavern-MLPCHAG-Search";
 // API Endpoints
 const API_ENDPOINT = "https://mlpchag.neocities.org";
 const MARES_ENDPOINT = `${API_ENDPOINT}/mares.json`;
+const FILTERS_ENDPOINT = `${API_ENDPOINT}/assets/filters.json`;
+
+// IndexedDB storage for the persisted catalog
+const CACHE_DB_NAME = "mlpchag-cache";
+const CACHE_STORE_NAME = "catalog";
+const CACHE_RECORD_KEY = "catalog";
+
+// Average characters per token, used for approximate token counts
+const CHARS_PER_TOKEN = 3.35;
 
 /**
- * Category definitions with their display properties
+ * Curated category labels and colors; the categories themselves come from filters.json
  */
 const CATEGORIES = [
     { id: 'nsfw', label: 'NSFW', color: '#ff6b6b' },
@@ -40,7 +58,7 @@ const CATEGORIES = [
 ];
 
 /**
- * Tag definitions with their display properties
+ * Curated tag labels and colors; the tag bar shows whichever tags the catalog uses
  */
 const TAGS = [
     { id: 'simulation', label: 'Simulation', color: '#ffd351' },
@@ -70,8 +88,24 @@ const defaultSettings = {
     defaultSort: 'dateupdate', // Default sorting method
     showNSFW: false, // Whether to show NSFW content by default
     cacheEnabled: true, // Whether to cache character data
+    cacheTTL: 5, // Minutes before cached character data is revalidated
     autoLoadTags: true, // Whether to automatically load tag counts
     showTagCount: true, // Whether to show tag counts in the UI
+    tagGroupModes: { categories: 'or', types: 'and' }, // How included tags combine within each button group
+    hideInstalled: false, // Whether to hide characters already in the library
+    importLedger: {}, // Cards imported through the extension, keyed by catalog path
+    downloadConcurrency: 3, // Parallel card fetches during batch downloads
+    favoriteLists: { Favorites: [] }, // Named favorite lists of card paths
+    activeFavoriteList: 'Favorites', // List the star buttons add to and the favorites view shows
+    searchPresets: {}, // Saved searches keyed by name
+    defaultPreset: null, // Preset applied when the popup opens with no previous search to restore
+    importTags: true, // Whether imported characters get SillyTavern tags for their MLPCHAG tags
+    importCategoryTags: true, // Whether categories (NSFW/EQG/Anthro) are imported as tags too
+    lorebookImport: 'ask', // Whether embedded lorebooks become World Info: 'always', 'ask' or 'never'
+    randomExcludeInstalled: false, // Whether the random picker skips cards already in the library
+    randomExcludeRolled: true, // Whether the random picker skips recently rolled cards
+    randomHistory: [], // Paths of recent random picks, newest first
+    layout: 'list', // Result layout: paged 'list' or infinitely scrolling 'grid'
 };
 
 // ==========================================================================
@@ -80,13 +114,52 @@ const defaultSettings = {
 
 let mlpcharacters = []; // Stores the full list of characters
 let characterListContainer = null; // Reference to the character list DOM element
-let selectedTags = []; // Currently selected tags for filtering
+let selectedTags = []; // Currently included tags for filtering
+let excludedTags = []; // Currently excluded tags for filtering
 let tagCounts = {}; // Counts of characters per tag
+let tagOptionCounts = {}; // Results each filter button would give if included
+let queryMatchCache = null; // Last query scoring result, reused while only tags change
+let tagBarSource = null; // Catalog the rendered tag bar was built from
 let cachedData = null; // Cache for character data
 let lastFetchTime = 0; // Timestamp of last data fetch
+let cacheValidators = {}; // ETag/Last-Modified values of the cached responses
+let revalidationPromise = null; // Pending background revalidation, if any
 let batchMode = false; // Whether batch selection mode is active
-let selectedPaths = []; // Paths selected for batch download
-const CACHE_DURATION = 5 * 60 * 1000; // Cache duration in milliseconds (5 minutes)
+let selectedPaths = new Set(); // Paths selected for batch download, kept across pages and filters
+let lastSelectedPath = null; // Anchor for shift-click range selection
+let currentPageCharacters = []; // Characters rendered on the current page
+let favoritesOnly = false; // Whether the list shows only the active favorite list
+let catalogIndex = null; // Search index built from the loaded catalog
+let announcedUpdateCount = 0; // Available updates last announced, so index rebuilds only toast changes
+let filterWorker = null; // Worker for large filter queries; false once it proved unusable
+let filterWorkerSource = null; // Catalog whose index the worker currently holds
+let filterRequestId = 0; // Id of the last request sent to the worker
+let searchRequestId = 0; // Token of the latest search; results of older searches are dropped
+const pendingFilterRequests = new Map(); // Worker requests awaiting a reply
+const FILTER_WORKER_THRESHOLD = 5000; // Entries × filter terms above which filtering moves to the worker
+let downloadQueue = null; // Running or last finished batch download
+let zipExportRunning = false; // Whether a ZIP export is in progress
+let crcTable = null; // Lazily built CRC-32 lookup table
+const cardDataCache = new Map(); // Parsed card data of recently previewed cards, keyed by path
+let previewResults = []; // Result set the preview steps through
+let previewIndex = -1; // Position of the previewed card in previewResults
+let previewRequestId = 0; // Token of the latest preview; renders of older steps are dropped
+let searchState = null; // Query, sort, page and result totals driving the list; kept across views and reopening
+const CARD_DATA_CACHE_SIZE = 50; // Number of parsed cards kept in memory
+const DIFF_MAX_CELLS = 1000000; // Largest LCS table the card comparison builds; bigger changes show as one block
+const DOWNLOAD_RETRIES = 3; // Retries per card before a batch download gives up on it
+const DOWNLOAD_RETRY_DELAY = 1000; // Initial retry backoff in milliseconds, doubled per attempt
+const RANDOM_HISTORY_SIZE = 50; // Number of random picks remembered
+const ROULETTE_SIZE = 3; // Candidates shown side by side in roulette mode
+let gridCharacters = []; // Results shown by the grid layout
+let gridLoadedCount = 0; // Results the grid has scrolled into so far
+let gridRenderPending = false; // Whether a grid window render is scheduled for the next frame
+let gridResizeObserver = null; // Re-renders the grid window when the popup is resized
+let thumbnailObserver = null; // Loads grid thumbnails as they come into view
+const GRID_ROW_HEIGHT = 250; // Height of a grid row in pixels, gap included
+const GRID_GAP = 10; // Gap between grid cells in pixels
+const GRID_MIN_COLUMN_WIDTH = 150; // Narrowest grid column in pixels
+const GRID_OVERSCAN_ROWS = 2; // Rows rendered above and below the visible ones
 
 /**
  * Sanitizes text to prevent XSS attacks
@@ -118,350 +191,3431 @@ async function loadSettings() {
     for (const [key, value] of Object.entries(defaultSettings)) {
         if (!extension_settings.mlpchag.hasOwnProperty(key)) {
             console.log(`Setting default for: ${key}`);
-            extension_settings.mlpchag[key] = value;
+            extension_settings.mlpchag[key] = structuredClone(value);
         }
     }
+
+    // Keyed by user-chosen names, so a name like "__proto__" must stay a plain key
+    for (const key of NAME_MAP_SETTINGS) {
+        extension_settings.mlpchag[key] = Object.assign(Object.create(null), extension_settings.mlpchag[key]);
+    }
 }
 
-// ==========================================================================
-// Character Download Functionality
-// ==========================================================================
+/**
+ * Settings holding the user's data rather than preferences; reset to defaults leaves them alone
+ */
+const PRESERVED_SETTINGS = ['importLedger', 'favoriteLists', 'activeFavoriteList', 'searchPresets', 'defaultPreset', 'randomHistory'];
 
 /**
- * Downloads a character card from MLPCHAG and processes it
- * @param {string} cardPath - Path to the character card
+ * Settings keyed by names the user types or imports; held in null-prototype objects
  */
-async function downloadCharacter(cardPath) {
-    try {
-        const imageUrl = `${API_ENDPOINT}/cards/${cardPath}`;
-        const response = await fetch(imageUrl);
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        
-        const blob = await response.blob();
-        const file = new File([blob], cardPath, { type: 'image/png' });
-        
-        processDroppedFiles([file]);
-        toastr.success('Character downloaded successfully', '', { timeOut: 2000 });
-    } catch (error) {
-        console.error('Failed to download character:', error);
-        toastr.error('Failed to download character');
+const NAME_MAP_SETTINGS = ['favoriteLists', 'searchPresets'];
+
+/**
+ * Labels and choices of the settings shown in the settings panels
+ */
+const SETTING_CONTROLS = {
+    showNSFW: { label: 'Show NSFW content' },
+    findCount: { label: 'Characters per page', options: [[10, '10'], [20, '20'], [30, '30'], [50, '50']] },
+    defaultSort: { label: 'Default sort', options: [['dateupdate', 'Latest Updated'], ['datecreate', 'Latest Created'], ['name', 'Name (A-Z)'], ['author', 'Author (A-Z)']] },
+    layout: { label: 'Result layout', options: [['list', 'Paged list'], ['grid', 'Scrolling grid']] },
+    hideInstalled: { label: 'Hide characters already in the library' },
+    autoLoadTags: { label: 'Count results per tag button' },
+    showTagCount: { label: 'Show tag counts' },
+    cacheEnabled: { label: 'Enable caching' },
+    cacheTTL: { label: 'Refresh cached data after', options: [[5, '5 minutes'], [15, '15 minutes'], [60, '1 hour'], [360, '6 hours'], [1440, '1 day']] },
+    downloadConcurrency: { label: 'Parallel downloads', options: [[1, '1'], [2, '2'], [3, '3'], [5, '5']] },
+    importTags: { label: 'Tag imported characters' },
+    importCategoryTags: { label: 'Import categories as tags' },
+    lorebookImport: { label: 'Import embedded lorebooks', options: [['always', 'Always'], ['ask', 'Ask'], ['never', 'Never']] },
+    randomExcludeInstalled: { label: 'Random: skip cards in my library' },
+    randomExcludeRolled: { label: 'Random: skip recently rolled cards' },
+};
+
+/**
+ * Settings repeated in the search popup's own settings panel
+ */
+const POPUP_SETTING_KEYS = ['showNSFW', 'cacheEnabled', 'cacheTTL', 'showTagCount', 'downloadConcurrency',
+    'importTags', 'importCategoryTags', 'lorebookImport', 'findCount'];
+
+/**
+ * Renders the control for one setting
+ * @param {string} key - Setting name
+ * @param {string} idPrefix - Prefix keeping element ids unique per panel
+ * @returns {string} HTML string for the setting
+ */
+function renderSettingControl(key, idPrefix) {
+    const { label, options } = SETTING_CONTROLS[key];
+    const value = extension_settings.mlpchag[key];
+    const id = `${idPrefix}_${key}`;
+
+    if (!options) {
+        return `
+            <div class="setting-item">
+                <label for="${id}">${label}</label>
+                <input type="checkbox" id="${id}" data-setting="${key}" ${value ? 'checked' : ''}>
+            </div>`;
     }
+    return `
+        <div class="setting-item">
+            <label for="${id}">${label}</label>
+            <select id="${id}" data-setting="${key}">
+                ${options.map(([optionValue, optionLabel]) => `
+                    <option value="${optionValue}" ${value === optionValue ? 'selected' : ''}>${optionLabel}</option>
+                `).join('')}
+            </select>
+        </div>`;
 }
 
 /**
- * Selects a random character from the current filtered list
- * @returns {Object|null} A random character or null if no characters available
+ * Changes a setting and saves it through SillyTavern
+ * @param {string} key - Setting name
+ * @param {*} value - New value
  */
-function getRandomCharacter() {
-    if (!mlpcharacters || mlpcharacters.length === 0) {
-        return null;
+function updateSetting(key, value) {
+    extension_settings.mlpchag[key] = value;
+    saveSettingsDebounced();
+    syncSettingsControls();
+}
+
+/**
+ * Updates every rendered settings control to the stored values
+ */
+function syncSettingsControls() {
+    document.querySelectorAll('[data-setting]').forEach(control => {
+        const value = extension_settings.mlpchag[control.dataset.setting];
+        if (control.type === 'checkbox') {
+            control.checked = !!value;
+        } else {
+            control.value = String(value);
+        }
+    });
+    document.getElementById('hideInstalledBtn')?.classList.toggle('selected', extension_settings.mlpchag.hideInstalled);
+    syncLayoutControls();
+}
+
+/**
+ * Stores the value of a changed settings control and applies it
+ * @param {Event} event - Change event from a settings panel
+ */
+function handleSettingControlChange(event) {
+    const control = event.target.closest('[data-setting]');
+    if (!control) return;
+
+    const key = control.dataset.setting;
+    let value = control.type === 'checkbox' ? control.checked : control.value;
+    if (typeof defaultSettings[key] === 'number') {
+        value = parseInt(value);
     }
-    
-    const filteredCharacters = [...mlpcharacters]; // Create a copy to avoid modifying original
-    
-    if (filteredCharacters.length === 0) {
-        return null;
+    updateSetting(key, value);
+    applySettingEffects(key);
+}
+
+/**
+ * Applies the default sort to the search state while there is no search term
+ */
+function syncDefaultSort() {
+    // Without a search term the list follows the default sort
+    if (searchState && !searchState.searchTerm.trim()) {
+        searchState.sort = extension_settings.mlpchag.defaultSort;
     }
-    
-    const randomIndex = Math.floor(Math.random() * filteredCharacters.length);
-    return filteredCharacters[randomIndex];
 }
 
-// ==========================================================================
-// UI Components
-// ==========================================================================
+/**
+ * Refreshes the open search popup after a setting changed
+ * @param {string} key - Changed setting
+ */
+function applySettingEffects(key) {
+    if (key === 'defaultSort') {
+        syncDefaultSort();
+    }
+    if (!document.querySelector('.mlpchag-popup')) return;
+
+    switch (key) {
+        case 'showNSFW':
+        case 'findCount':
+        case 'hideInstalled':
+        case 'autoLoadTags':
+            resetPageAndSearch();
+            break;
+        case 'layout':
+        case 'defaultSort':
+            updateSearch();
+            break;
+        case 'showTagCount':
+            updateTagCountDisplay();
+            break;
+    }
+}
 
 /**
- * Creates the preview modal HTML for a character
- * @param {Object} character - Character data object
- * @returns {string} HTML string for the preview modal
+ * Restores every preference to its default, keeping favorites, presets and import history
  */
-function createPreviewModal(character) {
-    return `
-    <div class="character-preview-modal">
-        <div class="preview-content">
-            <div class="preview-image-section">
-                <img src="${sanitizeText(character.url)}" alt="${sanitizeText(character.name)}" class="preview-image">
-                <div class="preview-header">
-                    <h2 class="preview-name">${sanitizeText(character.name)}</h2>
-                    <p class="preview-author">by ${sanitizeText(character.author)}</p>
-                </div>
-                <a href="#" class="download-button" data-path="${sanitizeText(character.path)}">
-                    <i class="fa-solid fa-download"></i> Download
-                </a>
-            </div>
-            
-            <div class="preview-sections">
-                ${character.description ? `
-                    <div class="preview-section">
-                        <div class="section-header">
-                            <h3>Description</h3>
-                        </div>
-                        <div class="section-content">
-                            <p>${sanitizeText(character.description)}</p>
-                        </div>
-                    </div>
-                ` : ''}
-                
-                ${character.personality ? `
-                    <div class="preview-section">
-                        <div class="section-header">
-                            <h3>Personality</h3>
-                        </div>
-                        <div class="section-content">
-                            <p>${sanitizeText(character.personality)}</p>
-                        </div>
-                    </div>
-                ` : ''}
-                
-                ${character.scenario ? `
-                    <div class="preview-section">
-                        <div class="section-header">
-                            <h3>Scenario</h3>
-                        </div>
-                        <div class="section-content">
-                            <p>${sanitizeText(character.scenario)}</p>
-                        </div>
-                    </div>
-                ` : ''}
-                
-                ${character.greetings ? `
-                    <div class="preview-section">
-                        <div class="section-header">
-                            <h3>Greetings</h3>
-                        </div>
-                        <div class="section-content greetings-content">
-                            ${Array.isArray(character.greetings) ?
-                                character.greetings.map((greeting, index) => `
-                                    <div class="greeting ${index === 0 ? 'active' : ''}">${sanitizeText(greeting)}</div>
-                                `).join('') :
-                                `<div class="greeting active">${sanitizeText(character.greetings)}</div>`
-                            }
-                            ${Array.isArray(character.greetings) && character.greetings.length > 1 ? `
-                                <div class="greeting-nav">
-                                    ${character.greetings.map((_, index) => `
-                                        <button class="greeting-dot ${index === 0 ? 'active' : ''}"
-                                                data-index="${index}">
-                                            ${index + 1}
-                                        </button>
-                                    `).join('')}
-                                </div>
-                            ` : ''}
+async function resetSettingsToDefaults() {
+    const result = await callGenericPopup(
+        '<h3>Reset MLPCHAG Search settings?</h3><p>Favorites, saved searches and the import history are kept.</p>',
+        POPUP_TYPE.CONFIRM);
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    for (const [key, value] of Object.entries(defaultSettings)) {
+        if (!PRESERVED_SETTINGS.includes(key)) {
+            extension_settings.mlpchag[key] = structuredClone(value);
+        }
+    }
+    saveSettingsDebounced();
+    syncSettingsControls();
+
+    // Any setting may have changed, so the popup is refreshed once for all of them
+    syncDefaultSort();
+    if (document.querySelector('.mlpchag-popup')) {
+        resetPageAndSearch();
+        updateTagCountDisplay();
+    }
+    toastr.success('Settings reset to defaults');
+}
+
+/**
+ * Adds the settings drawer to SillyTavern's Extensions panel
+ */
+function renderSettingsDrawer() {
+    $('#extensions_settings').append(`
+        <div class="mlpchag-settings">
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <b>MLPCHAG Search</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <div class="settings-options">
+                        ${Object.keys(SETTING_CONTROLS).map(key => renderSettingControl(key, 'mlpchag_drawer')).join('')}
+                    </div>
+                    <div class="mlpchag-settings-actions">
+                        <div id="mlpchag_clear_cache" class="menu_button">
+                            <i class="fa-solid fa-broom"></i> Clear cache
+                        </div>
+                        <div id="mlpchag_reset_settings" class="menu_button">
+                            <i class="fa-solid fa-rotate-left"></i> Reset to defaults
                         </div>
                     </div>
-                ` : ''}
-            </div>
-
-            <!-- Return to List button -->
-            <div class="return-section" style="margin-top: 15px;">
-                <button class="return-button">
-                    <i class="fa-solid fa-arrow-left"></i> Return to List
-                </button>
+                </div>
             </div>
         </div>
-    </div>`;
+    `);
+
+    const drawer = document.querySelector('.mlpchag-settings');
+    drawer?.addEventListener('change', handleSettingControlChange);
+    $('#mlpchag_reset_settings').on('click', resetSettingsToDefaults);
+    $('#mlpchag_clear_cache').on('click', async () => {
+        await clearCatalogCache();
+        toastr.success('Cache cleared successfully');
+    });
 }
 
 // ==========================================================================
-// Character List View Management
+// Catalog Cache
 // ==========================================================================
 
 /**
- * Updates the character list display in the UI
- * @param {Array} characters - Array of character objects to display
+ * Opens the IndexedDB database holding the persisted catalog
+ * @returns {Promise<IDBDatabase>} Open database
  */
-function updateCharacterListInView(characters) {
-    if (!characterListContainer) return;
-
-    const characterElements = characters.map(char => {
-        try {
-            // Validate required character data
-            if (!char.name || !char.author) {
-                console.warn('Skipping character with missing data:', char);
-                return '';
-            }
-
-            // Create tag elements if character has tags
-            const tagElements = char.tags ? `
-                <div class="character-tags">
-                    ${char.tags.map(tag => `
-                        <span class="character-tag" data-tag="${sanitizeText(tag)}">
-                            ${sanitizeText(tag)} ${tagCounts[tag] ? `(${tagCounts[tag]})` : ''}
-                        </span>
-                    `).join('')}
-                </div>
-            ` : '';
-
-            // Return the character card HTML
-            return `
-                <div class="character-list-item">
-                    ${batchMode ? `<input type="checkbox" class="char-select" data-path="${sanitizeText(char.path)}" ${selectedPaths.includes(char.path) ? 'checked' : ''}>` : ''}
-                    <img class="thumbnail"
-                        src="${sanitizeText(char.url)}"
-                        onerror="this.src='img/ai4.png'"
-                        alt="${sanitizeText(char.name)}">
-                    <div class="info">
-                        <div class="name">${sanitizeText(char.name)}</div>
-                        <div class="author">by ${sanitizeText(char.author)}</div>
-                        <div class="description">${sanitizeText(char.description || '')}</div>
-                        ${tagElements}
-                    </div>
-                    <div class="download-btn fa-solid fa-download" 
-                        data-path="${sanitizeText(char.path)}" 
-                        title="Download ${sanitizeText(char.name)}">
-                    </div>
-                </div>
-            `;
-        } catch (error) {
-            console.error('Error creating character element:', error, char);
-            return '';
-        }
-    }).filter(Boolean); // Remove empty entries
+function openCacheDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(CACHE_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-    // Display message if no characters found
-    if (characterElements.length === 0) {
-        characterListContainer.innerHTML = '<div class="no-characters-found">No valid characters found</div>';
-        return;
+/**
+ * Runs a single request against the catalog object store
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+async function withCacheStore(mode, operation) {
+    const db = await openCacheDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(CACHE_STORE_NAME, mode);
+            const request = operation(transaction.objectStore(CACHE_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
     }
+}
 
-    // Update the container with character elements
-    characterListContainer.innerHTML = characterElements.join('');
-
-    // Update tag count displays
-    updateTagCountDisplay();
+/**
+ * Reads the persisted catalog from IndexedDB
+ * @returns {Promise<Object|null>} Stored record or null if unavailable
+ */
+async function readStoredCatalog() {
+    try {
+        return await withCacheStore('readonly', store => store.get(CACHE_RECORD_KEY)) || null;
+    } catch (error) {
+        console.warn('Failed to read cached catalog:', error);
+        return null;
+    }
 }
 
 /**
- * Handles click events within the character list container
- * @param {Event} event - Click event
+ * Persists the catalog to IndexedDB
+ * @param {Object} record - Catalog record to store
  */
-async function handleCharacterListClick(event) {
-    if (event.target.classList.contains('char-select')) {
-        const checkbox = event.target;
-        const path = checkbox.dataset.path;
-        if (checkbox.checked) {
-            if (!selectedPaths.includes(path)) {
-                selectedPaths.push(path);
-            }
-        } else {
-            selectedPaths = selectedPaths.filter(p => p !== path);
-        }
-        return;
-    } else if (event.target.classList.contains('download-btn')) {
-        // Handle direct download click
-        downloadCharacter(event.target.getAttribute('data-path'));
-    } else {
-        // Handle character preview click
-        const listItem = event.target.closest('.character-list-item');
-        if (listItem) {
-            await handleCharacterPreview(listItem);
-        }
+async function writeStoredCatalog(record) {
+    try {
+        await withCacheStore('readwrite', store => store.put(record, CACHE_RECORD_KEY));
+    } catch (error) {
+        console.warn('Failed to persist catalog:', error);
     }
 }
 
 /**
- * Handles the character preview modal display and interaction
- * @param {HTMLElement} listItem - The clicked character list item
+ * Clears both the in-memory and the persisted catalog
  */
-async function handleCharacterPreview(listItem) {
-    const path = listItem.querySelector('.download-btn').getAttribute('data-path');
+async function clearCatalogCache() {
+    cachedData = null;
+    lastFetchTime = 0;
+    cacheValidators = {};
     try {
-        const response = await fetch(`${API_ENDPOINT}/cards/${path}`);
-        if (!response.ok) throw new Error('Failed to fetch character data');
-        
-        const character = mlpcharacters.find(char => char.path === path);
-        if (character) {
-            // Create and display the preview modal
-            const modal = createPreviewModal(character);
-            callPopup(modal, 'html');
-            
-            // Set up modal interactions
-            setupPreviewModalInteractions();
-        }
+        await withCacheStore('readwrite', store => store.delete(CACHE_RECORD_KEY));
     } catch (error) {
-        console.error('Error loading character preview:', error);
+        console.warn('Failed to clear cached catalog:', error);
     }
 }
 
 /**
- * Sets up interactive elements within the preview modal
+ * Fetches a JSON resource, revalidating against previously seen validators.
+ * Conditional headers trigger a CORS preflight, so a failed conditional
+ * request is retried as a plain one.
+ * @param {string} url - Resource URL
+ * @param {Object} [validator] - Previous { etag, lastModified } values
+ * @returns {Promise<Object>} { notModified, data, validator }
  */
-function setupPreviewModalInteractions() {
-    const modalElement = document.querySelector('.character-preview-modal');
-    if (!modalElement) return;
+async function fetchCatalogResource(url, validator) {
+    const headers = {};
+    if (validator?.etag) headers['If-None-Match'] = validator.etag;
+    if (validator?.lastModified) headers['If-Modified-Since'] = validator.lastModified;
 
-    // Setup greeting navigation
-    modalElement.querySelectorAll('.greeting-dot').forEach(dot => {
-        dot.addEventListener('click', () => {
-            const index = parseInt(dot.dataset.index);
-            const section = dot.closest('.greetings-content');
-            
-            // Update greeting visibility
-            section.querySelectorAll('.greeting').forEach(greeting => {
-                greeting.classList.remove('active');
-            });
-            section.querySelectorAll('.greeting')[index].classList.add('active');
-            
-            // Update navigation dots
-            section.querySelectorAll('.greeting-dot').forEach(d => {
-                d.classList.remove('active');
-            });
-            dot.classList.add('active');
-        });
-    });
+    let response;
+    try {
+        response = await fetch(url, { cache: "no-cache", headers });
+    } catch (error) {
+        if (Object.keys(headers).length === 0) throw error;
+        response = await fetch(url, { cache: "no-cache" });
+    }
 
-    // Setup download button
-    modalElement.querySelector('.download-button')?.addEventListener('click', (e) => {
-        e.preventDefault();
-        const path = e.target.closest('.download-button').dataset.path;
-        downloadCharacter(path);
-    });
+    if (response.status === 304) {
+        return { notModified: true, data: null, validator };
+    }
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+    }
 
-    // Setup "Return to List" button
-    const returnBtn = modalElement.querySelector('.return-button');
-    if (returnBtn) {
-        returnBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            displayCharactersInListViewPopup();
+    return {
+        notModified: false,
+        data: await response.json(),
+        validator: {
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+        },
+    };
+}
+
+/**
+ * Downloads the catalog, reusing cached parts the server reports unchanged
+ * @returns {Promise<boolean>} True if the catalog content changed
+ */
+async function refreshCatalog() {
+    const [mares, filters] = await Promise.all([
+        fetchCatalogResource(MARES_ENDPOINT, cachedData && cacheValidators.mares),
+        fetchCatalogResource(FILTERS_ENDPOINT, cachedData && cacheValidators.filters),
+    ]);
+
+    const changed = !cachedData || !mares.notModified || !filters.notModified;
+    if (changed) {
+        cachedData = [
+            mares.notModified ? cachedData[0] : mares.data,
+            filters.notModified ? cachedData[1] : filters.data,
+        ];
+    }
+    cacheValidators = { mares: mares.validator, filters: filters.validator };
+    lastFetchTime = Date.now();
+
+    if (extension_settings.mlpchag.cacheEnabled) {
+        await writeStoredCatalog({
+            maresData: cachedData[0],
+            filters: cachedData[1],
+            fetchedAt: lastFetchTime,
+            validators: cacheValidators,
         });
     }
+
+    return changed;
 }
 
 /**
- * Updates the display of tag counts in the filter buttons
+ * Revalidates the cached catalog in the background and refreshes the open list if it changed
  */
-function updateTagCountDisplay() {
-    if (!extension_settings.mlpchag.showTagCount) {
-        // Hide all tag counts if the setting is disabled
-        document.querySelectorAll('.tag-count').forEach(span => {
-            span.style.display = 'none';
+function revalidateCatalogInBackground() {
+    if (revalidationPromise) return;
+
+    revalidationPromise = refreshCatalog()
+        .then(changed => {
+            if (changed && characterListContainer?.isConnected) {
+                console.log('Catalog changed upstream, refreshing list');
+                updateSearch();
+            }
+        })
+        .catch(error => {
+            console.warn('Catalog revalidation failed, keeping cached data:', error);
+        })
+        .finally(() => {
+            revalidationPromise = null;
         });
-        return;
+}
+
+/**
+ * Returns the catalog, serving cached data immediately and revalidating stale copies in the background
+ * @returns {Promise<Array>} [maresData, filters]
+ */
+async function loadCatalog() {
+    if (!extension_settings.mlpchag.cacheEnabled) {
+        console.log('Fetching fresh character data');
+        cachedData = null;
+        await refreshCatalog();
+        return cachedData;
     }
-    
-    // Update tag buttons
-    document.querySelectorAll('.tag-button').forEach(button => {
-        const tagId = button.dataset.tag;
-        const count = tagCounts[tagId] || 0;
-        const countSpan = button.querySelector('.tag-count');
-        
-        if (countSpan) {
-            countSpan.textContent = `(${count})`;
+
+    if (!cachedData) {
+        const stored = await readStoredCatalog();
+        if (stored?.maresData && stored?.filters) {
+            console.log('Using persisted character data');
+            cachedData = [stored.maresData, stored.filters];
+            lastFetchTime = stored.fetchedAt || 0;
+            cacheValidators = stored.validators || {};
+        }
+    }
+
+    if (cachedData) {
+        const ttl = extension_settings.mlpchag.cacheTTL * 60 * 1000;
+        if (Date.now() - lastFetchTime >= ttl) {
+            revalidateCatalogInBackground();
+        }
+        return cachedData;
+    }
+
+    console.log('Fetching fresh character data');
+    // Show loading indicator
+    if (characterListContainer) {
+        characterListContainer.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Loading characters...</p></div>';
+    }
+    await refreshCatalog();
+    return cachedData;
+}
+
+// ==========================================================================
+// Character Download Functionality
+// ==========================================================================
+
+/**
+ * Downloads a character card from MLPCHAG and processes it
+ * @param {string} cardPath - Path to the character card
+ */
+async function downloadCharacter(cardPath) {
+    try {
+        const entry = catalogIndex?.byPath.get(cardPath);
+        const existing = entry && findLibraryMatch(entry);
+        if (existing) {
+            const result = await callGenericPopup(
+                `<h3>${sanitizeText(existing.name)} is already in your library</h3><p>Import another copy anyway?</p>`,
+                POPUP_TYPE.CONFIRM);
+            if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+        }
+
+        await importCard(cardPath);
+        toastr.success('Character downloaded successfully', '', { timeOut: 2000 });
+    } catch (error) {
+        console.error('Failed to download character:', error);
+        toastr.error('Failed to download character');
+    }
+}
+
+/**
+ * Fetches a card PNG from MLPCHAG
+ * @param {string} cardPath - Path to the character card
+ * @param {Object} [options] - { signal, retries } passed to fetchWithRetry
+ * @returns {Promise<File>} Card file
+ */
+async function fetchCardFile(cardPath, options) {
+    const imageUrl = `${API_ENDPOINT}/cards/${cardPath}`;
+    const response = await fetchWithRetry(imageUrl, options);
+    const blob = await response.blob();
+    return new File([blob], cardPath, { type: 'image/png' });
+}
+
+/**
+ * Downloads and imports a card into SillyTavern
+ * @param {string} cardPath - Path to the character card
+ * @param {string} [replaceAvatar] - Avatar of an existing character to overwrite, keeping its chats
+ * @param {string} [lorebookMode] - 'always', 'ask' or 'never'; defaults to the setting
+ * @returns {Promise<string|null>} Avatar of the imported character, if it could be determined
+ */
+async function importCard(cardPath, replaceAvatar, lorebookMode) {
+    return importCardFile(cardPath, await fetchCardFile(cardPath), replaceAvatar, lorebookMode);
+}
+
+/**
+ * Imports a fetched card file and records it in the import ledger
+ * @param {string} cardPath - Path to the character card
+ * @param {File} file - Card file
+ * @param {string} [replaceAvatar] - Avatar of an existing character to overwrite, keeping its chats
+ * @param {string} [lorebookMode] - 'always', 'ask' or 'never'; defaults to the setting
+ * @returns {Promise<string|null>} Avatar of the imported character, if it could be determined
+ */
+async function importCardFile(cardPath, file, replaceAvatar, lorebookMode = extension_settings.mlpchag.lorebookImport) {
+    const avatarsBefore = new Set((getContext().characters || []).map(char => char.avatar));
+    // Read before the import overwrites the character's data
+    const replacedWorld = replaceAvatar ? getLinkedWorld(replaceAvatar) : null;
+
+    await processDroppedFiles([file], replaceAvatar ? new Map([[file, replaceAvatar]]) : new Map());
+
+    const avatar = replaceAvatar ||
+        (getContext().characters || []).map(char => char.avatar).find(name => !avatarsBefore.has(name)) ||
+        null;
+    recordImport(cardPath, avatar);
+    if (avatar) {
+        await applyImportMetadata(cardPath, avatar);
+        await importEmbeddedLorebook(file, avatar, lorebookMode, replacedWorld || getLinkedWorld(avatar));
+    }
+    return avatar;
+}
+
+// ==========================================================================
+// Batch Download Queue
+// ==========================================================================
+
+/**
+ * Waits for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Fetches a URL, retrying network errors, server errors and rate limiting with exponential backoff
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - { signal, retries }
+ * @returns {Promise<Response>} Successful response
+ */
+async function fetchWithRetry(url, { signal, retries = 0 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetch(url, { signal });
+            if (!response.ok) {
+                const error = new Error(`HTTP error! status: ${response.status}`);
+                // Other client errors will fail the same way again
+                error.retryable = response.status >= 500 || response.status === 429;
+                throw error;
+            }
+            return response;
+        } catch (error) {
+            if (signal?.aborted || error.retryable === false || attempt >= retries) throw error;
+            await delay(DOWNLOAD_RETRY_DELAY * 2 ** attempt, signal);
+        }
+    }
+}
+
+/**
+ * Starts a batch download, asking once what to do about cards already in the library
+ * @param {Array<string>} paths - Card paths to download
+ */
+async function startBatchDownload(paths) {
+    if (paths.length === 0) {
+        toastr.warning('No characters selected');
+        return;
+    }
+
+    const library = buildLibraryLookup();
+    const duplicates = paths.filter(path => {
+        const entry = catalogIndex?.byPath.get(path);
+        return entry && findLibraryMatch(entry, library);
+    });
+    if (duplicates.length > 0) {
+        const result = await callGenericPopup(
+            `<h3>${duplicates.length} of the selected cards are already in your library</h3><p>Import copies of them anyway? Choose "No" to skip them.</p>`,
+            POPUP_TYPE.CONFIRM);
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            paths = paths.filter(path => !duplicates.includes(path));
+        }
+    }
+
+    if (paths.length > 0) {
+        await runDownloadQueue(paths, await getBatchLorebookMode(paths.length));
+    }
+}
+
+/**
+ * Downloads cards with bounded parallelism and imports them one at a time
+ * @param {Array<string>} paths - Card paths to download
+ * @param {string} [lorebookMode] - Lorebook import mode for the whole batch
+ */
+async function runDownloadQueue(paths, lorebookMode) {
+    if (downloadQueue?.running) {
+        toastr.warning('A batch download is already running');
+        return;
+    }
+
+    const controller = new AbortController();
+    const queue = { paths, done: 0, failed: [], running: true, cancelled: false, controller };
+    downloadQueue = queue;
+    renderDownloadQueue();
+
+    let next = 0;
+    let importChain = Promise.resolve();
+    const runWorker = async () => {
+        while (next < paths.length && !controller.signal.aborted) {
+            const path = paths[next++];
+            try {
+                const file = await fetchCardFile(path, { signal: controller.signal, retries: DOWNLOAD_RETRIES });
+
+                // Imports are serialized so SillyTavern's character list stays consistent
+                const imported = importChain.then(() => importCardFile(path, file, undefined, lorebookMode));
+                importChain = imported.catch(() => {});
+                await imported;
+                queue.done++;
+            } catch (error) {
+                // Imports already chained before Cancel can still fail on their own
+                if (error.name === 'AbortError') break;
+                console.error('Failed to download character:', error);
+                queue.failed.push({ path, error: error.message });
+            }
+            renderDownloadQueue();
+        }
+    };
+
+    const concurrency = Math.max(1, extension_settings.mlpchag.downloadConcurrency);
+    await Promise.all(Array.from({ length: Math.min(concurrency, paths.length) }, runWorker));
+
+    queue.running = false;
+    queue.cancelled = controller.signal.aborted;
+    renderDownloadQueue();
+
+    if (queue.failed.length > 0) {
+        toastr.error(`${queue.done} downloaded, ${queue.failed.length} failed`);
+    } else {
+        toastr.success(`${queue.done} characters downloaded${queue.cancelled ? ' before cancelling' : ''}`);
+    }
+}
+
+/**
+ * Renders the download queue progress or summary into the list popup
+ */
+function renderDownloadQueue() {
+    const panel = document.getElementById('downloadQueuePanel');
+    if (!panel) return;
+
+    if (!downloadQueue) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        return;
+    }
+
+    const { paths, done, failed, running, cancelled } = downloadQueue;
+    const remaining = paths.length - done - failed.length;
+    const percent = Math.round(((done + failed.length) / paths.length) * 100);
+    const nameFor = path => catalogIndex?.byPath.get(path)?.name || path;
+
+    panel.style.display = 'block';
+    panel.innerHTML = `
+        <div class="queue-progress">
+            <div class="queue-progress-bar" style="width: ${percent}%"></div>
+        </div>
+        <div class="queue-stats">
+            <span>Done: ${done}</span>
+            <span>Failed: ${failed.length}</span>
+            <span>Remaining: ${remaining}</span>
+            ${!running && cancelled ? '<span>Cancelled</span>' : ''}
+        </div>
+        ${!running && failed.length > 0 ? `
+            <ul class="queue-failures">
+                ${failed.map(({ path, error }) => `<li>${sanitizeText(nameFor(path))} &mdash; ${sanitizeText(error)}</li>`).join('')}
+            </ul>
+        ` : ''}
+        <div class="queue-actions">
+            ${running ? `
+                <button class="action-button queue-cancel"><i class="fa-solid fa-ban"></i> Cancel</button>
+            ` : `
+                ${failed.length > 0 ? '<button class="action-button queue-retry"><i class="fa-solid fa-rotate-right"></i> Retry failed</button>' : ''}
+                <button class="action-button queue-dismiss"><i class="fa-solid fa-xmark"></i> Dismiss</button>
+            `}
+        </div>`;
+
+    panel.querySelector('.queue-cancel')?.addEventListener('click', () => {
+        downloadQueue.controller.abort();
+    });
+    panel.querySelector('.queue-retry')?.addEventListener('click', () => {
+        runDownloadQueue(downloadQueue.failed.map(({ path }) => path));
+    });
+    panel.querySelector('.queue-dismiss')?.addEventListener('click', () => {
+        downloadQueue = null;
+        renderDownloadQueue();
+    });
+}
+
+// ==========================================================================
+// ZIP Export
+// ==========================================================================
+
+/**
+ * Computes the CRC-32 checksum used by the ZIP format
+ * @param {Uint8Array} data - Bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds an uncompressed ZIP archive. PNG cards are already compressed,
+ * so storing them keeps the archive small without a deflate implementation.
+ * @param {Array<Object>} files - Entries as { name, data: Uint8Array }
+ * @returns {Blob} ZIP archive
+ */
+function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        // Local file header; flag 0x0800 marks UTF-8 file names
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        chunks.push(local, nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralDirectory.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * Downloads the selected cards and saves them as one ZIP with a manifest
+ * @param {Array<string>} paths - Card paths to export
+ */
+async function exportCardsAsZip(paths) {
+    if (paths.length === 0) {
+        toastr.warning('No characters selected');
+        return;
+    }
+    if (zipExportRunning) {
+        toastr.warning('A ZIP export is already running');
+        return;
+    }
+
+    zipExportRunning = true;
+    toastr.info(`Preparing ${paths.length} cards for export...`);
+
+    try {
+        const rawCatalog = catalogIndex?.source[0] || {};
+        const files = [];
+        const manifest = [];
+        const failed = [];
+
+        let next = 0;
+        const runWorker = async () => {
+            while (next < paths.length) {
+                const path = paths[next++];
+                try {
+                    const response = await fetchWithRetry(`${API_ENDPOINT}/cards/${path}`, { retries: DOWNLOAD_RETRIES });
+                    const archivePath = `cards/${path.replace(/\\/g, '/')}`;
+                    const entry = catalogIndex?.byPath.get(path);
+                    files.push({ name: archivePath, data: new Uint8Array(await response.arrayBuffer()) });
+                    manifest.push({
+                        ...rawCatalog[path],
+                        file: archivePath,
+                        path,
+                        url: `${API_ENDPOINT}/cards/${path}`,
+                        tags: entry?.tags || [],
+                        categories: entry?.categories || [],
+                    });
+                } catch (error) {
+                    console.error('Failed to export character:', error);
+                    failed.push(path);
+                }
+            }
+        };
+
+        const concurrency = Math.max(1, extension_settings.mlpchag.downloadConcurrency);
+        await Promise.all(Array.from({ length: Math.min(concurrency, paths.length) }, runWorker));
+
+        if (files.length === 0) {
+            toastr.error('None of the selected cards could be downloaded');
+            return;
+        }
+
+        manifest.sort((a, b) => a.file.localeCompare(b.file));
+        files.push({
+            name: 'manifest.json',
+            data: new TextEncoder().encode(JSON.stringify({
+                source: API_ENDPOINT,
+                exportedAt: new Date().toISOString(),
+                cards: manifest,
+            }, null, 2)),
+        });
+
+        download(createZipArchive(files), `mlpchag-cards-${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+
+        if (failed.length > 0) {
+            toastr.warning(`Exported ${manifest.length} cards, ${failed.length} could not be downloaded`);
+        } else {
+            toastr.success(`Exported ${manifest.length} cards`);
+        }
+    } finally {
+        zipExportRunning = false;
+    }
+}
+
+// ==========================================================================
+// Library Detection
+// ==========================================================================
+
+/**
+ * Reduces a file name or path to its lowercased stem ("a/Twilight.png" -> "twilight")
+ * @param {string} path - File name or path
+ * @returns {string} File stem
+ */
+function fileStem(path) {
+    return String(path || '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '').toLowerCase().trim();
+}
+
+/**
+ * Builds lookups of the characters currently loaded in SillyTavern
+ * @returns {Object} { byName, byFile } maps to arrays of local characters
+ */
+function buildLibraryLookup() {
+    const byName = new Map();
+    const byFile = new Map();
+    const byPath = new Map();
+    const add = (map, key, local) => {
+        if (!key) return;
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(local);
+    };
+
+    for (const local of getContext().characters || []) {
+        add(byName, String(local.name || '').toLowerCase().trim(), local);
+        add(byFile, fileStem(local.avatar), local);
+        add(byPath, local.data?.extensions?.mlpchag?.path, local);
+    }
+    return { byName, byFile, byPath };
+}
+
+/**
+ * Finds the local character a catalog entry was imported as.
+ * Characters carrying the entry's catalog path match outright; otherwise name or card file name
+ * must match, and the creator must agree when the local card has one.
+ * @param {Object} entry - Catalog character entry
+ * @param {Object} [library] - Lookup from buildLibraryLookup
+ * @returns {Object|null} Matching SillyTavern character or null
+ */
+function findLibraryMatch(entry, library = buildLibraryLookup()) {
+    const creatorMatches = local => {
+        const creator = String(local.data?.creator || local.creator || '').toLowerCase().trim();
+        return !creator || creator === entry.authorLower;
+    };
+
+    const traced = library.byPath.get(entry.path);
+    if (traced) return traced[0];
+
+    const candidates = [
+        ...(library.byName.get(entry.nameLower) || []),
+        ...(library.byFile.get(fileStem(entry.path)) || []),
+    ];
+    return candidates.find(creatorMatches) || null;
+}
+
+// ==========================================================================
+// Import Metadata
+// ==========================================================================
+
+/**
+ * Returns the labels and colors of the tags an entry should get in SillyTavern
+ * @param {Object} entry - Catalog character entry
+ * @returns {Array<Object>} Tags as { name, color }
+ */
+function getImportTags(entry) {
+    const settings = extension_settings.mlpchag;
+    const vocabulary = new Map((catalogIndex?.tagVocabulary || []).map(tag => [normalizeTag(tag.id), tag]));
+    const result = [];
+
+    if (settings.importTags) {
+        entry.tags.forEach(raw => {
+            const tag = vocabulary.get(normalizeTag(raw));
+            result.push({ name: tag?.label || raw, color: tag?.color || null });
+        });
+    }
+    if (settings.importCategoryTags) {
+        entry.categories.forEach(id => {
+            const curated = CATEGORIES.find(category => category.id === id);
+            result.push({ name: curated?.label || id.charAt(0).toUpperCase() + id.slice(1), color: curated?.color || null });
+        });
+    }
+    return result;
+}
+
+/**
+ * Assigns MLPCHAG tags to an imported character and stores where it came from
+ * @param {string} cardPath - Catalog path of the card
+ * @param {string} avatar - SillyTavern avatar of the imported character
+ */
+async function applyImportMetadata(cardPath, avatar) {
+    const entry = catalogIndex?.byPath.get(cardPath);
+    if (!entry) return;
+
+    try {
+        for (const { name, color } of getImportTags(entry)) {
+            let tag = tags.find(existing => existing.name.toLowerCase() === name.toLowerCase());
+            if (!tag) {
+                // Only new tags get the palette color, existing ones keep the user's choice
+                tag = createNewTag(name);
+                if (color) tag.color = color;
+            }
+            addTagsToEntity(tag, avatar);
+        }
+        saveSettingsDebounced();
+
+        const characterId = (getContext().characters || []).findIndex(local => local.avatar === avatar);
+        if (characterId !== -1) {
+            await writeExtensionField(characterId, 'mlpchag', {
+                source: entry.url,
+                path: cardPath,
+                dateupdate: entry.dateupdate,
+            });
+        }
+    } catch (error) {
+        // The character itself was imported fine
+        console.error('Failed to apply MLPCHAG metadata:', error);
+    }
+}
+
+/**
+ * Returns a World Info name that does not collide with an existing lorebook
+ * @param {string} name - Preferred name
+ * @returns {string} Unused name
+ */
+function getUnusedWorldName(name) {
+    let candidate = name;
+    for (let counter = 2; world_names.includes(candidate); counter++) {
+        candidate = `${name} (${counter})`;
+    }
+    return candidate;
+}
+
+/**
+ * Returns the existing World Info a character is linked to
+ * @param {string} avatar - SillyTavern avatar of the character
+ * @returns {string|null} World name, or null when the character links no existing lorebook
+ */
+function getLinkedWorld(avatar) {
+    const world = (getContext().characters || []).find(local => local.avatar === avatar)?.data?.extensions?.world;
+    return world && world_names.includes(world) ? world : null;
+}
+
+/**
+ * Creates World Info from a card's embedded lorebook and binds it to the imported character.
+ * A lorebook the character is already linked to is overwritten, so re-imports do not pile up copies.
+ * @param {File} file - Imported card file
+ * @param {string} avatar - SillyTavern avatar of the imported character
+ * @param {string} mode - 'always', 'ask' or 'never'
+ * @param {string|null} [linkedWorld] - Existing World Info to overwrite
+ */
+async function importEmbeddedLorebook(file, avatar, mode, linkedWorld = null) {
+    if (mode === 'never') return;
+
+    try {
+        const card = parseCardPng(await file.arrayBuffer());
+        const data = getCardFields(card);
+        const book = data.character_book;
+        if (!book?.entries?.length) return;
+
+        const preferredName = book.name || `${data.name}'s Lorebook`;
+        const worldName = linkedWorld || getUnusedWorldName(preferredName);
+        const collides = !linkedWorld && worldName !== preferredName;
+
+        if (mode === 'ask') {
+            const question = linkedWorld ?
+                `Update the linked World Info "${sanitizeText(worldName)}" with its ${book.entries.length} entries?` :
+                `Import its ${book.entries.length} entries as World Info "${sanitizeText(worldName)}" and link it to the character?`;
+            const result = await callGenericPopup(
+                `<h3>${sanitizeText(data.name)} has an embedded lorebook</h3>
+                <p>${question}</p>
+                ${collides ? `<p>A lorebook named "${sanitizeText(preferredName)}" already exists and will not be changed.</p>` : ''}`,
+                POPUP_TYPE.CONFIRM);
+            if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+        } else if (collides) {
+            toastr.warning(`A lorebook named "${preferredName}" already exists, saved the embedded one as "${worldName}"`);
+        }
+
+        await saveWorldInfo(worldName, convertCharacterBook(book), true);
+        await updateWorldInfoList();
+
+        const characterId = (getContext().characters || []).findIndex(local => local.avatar === avatar);
+        if (characterId !== -1) {
+            await writeExtensionField(characterId, 'world', worldName);
+        }
+        toastr.success(linkedWorld ?
+            `Lorebook "${worldName}" updated for ${data.name}` :
+            `Lorebook "${worldName}" imported and linked to ${data.name}`);
+    } catch (error) {
+        console.error('Failed to import embedded lorebook:', error);
+        toastr.error('Failed to import the embedded lorebook');
+    }
+}
+
+/**
+ * Settles the lorebook import mode once for a batch, so its imports do not stop to ask per card
+ * @param {number} count - Cards in the batch
+ * @returns {Promise<string>} 'always' or 'never', or 'ask' for a single card
+ */
+async function getBatchLorebookMode(count) {
+    const mode = extension_settings.mlpchag.lorebookImport;
+    if (mode !== 'ask' || count <= 1) return mode;
+
+    const result = await callGenericPopup(
+        `<h3>Import embedded lorebooks?</h3><p>Cards among these ${count} that carry a lorebook can bring it along as linked World Info.</p>`,
+        POPUP_TYPE.CONFIRM);
+    return result === POPUP_RESULT.AFFIRMATIVE ? 'always' : 'never';
+}
+
+// ==========================================================================
+// Update Tracking
+// ==========================================================================
+
+/**
+ * Records an imported card in the ledger
+ * @param {string} cardPath - Catalog path of the card
+ * @param {string|null} avatar - SillyTavern avatar the card became
+ */
+function recordImport(cardPath, avatar) {
+    const entry = catalogIndex?.byPath.get(cardPath);
+    extension_settings.mlpchag.importLedger[cardPath] = {
+        dateupdate: entry?.dateupdate || null,
+        avatar,
+        importedAt: new Date().toISOString(),
+    };
+    saveSettingsDebounced();
+}
+
+/**
+ * Compares the import ledger with the catalog
+ * @param {Object} index - Catalog index
+ * @returns {Array<Object>} Updates as { path, entry, record, local }
+ */
+function findAvailableUpdates(index) {
+    const [maresData] = index.source;
+    const localByAvatar = new Map((getContext().characters || []).map(local => [local.avatar, local]));
+
+    return Object.entries(extension_settings.mlpchag.importLedger || {})
+        .map(([path, record]) => ({
+            path,
+            record,
+            entry: index.byPath.get(path),
+            local: localByAvatar.get(record.avatar),
+        }))
+        .filter(({ path, record, entry, local }) =>
+            // Cards without an upstream date get a synthetic one and can't be compared
+            entry && local && record.dateupdate && maresData[path]?.dateupdate &&
+            new Date(entry.dateupdate) > new Date(record.dateupdate));
+}
+
+/**
+ * Refreshes the update counter on the Updates button
+ */
+function updateUpdatesButton() {
+    const button = document.getElementById('updatesBtn');
+    if (!button || !catalogIndex) return;
+
+    const count = findAvailableUpdates(catalogIndex).length;
+    button.style.display = count > 0 ? 'inline-flex' : 'none';
+    button.querySelector('.updates-count').textContent = count;
+}
+
+/**
+ * Creates the HTML for the "Updates available" view
+ * @param {Array<Object>} updates - Updates from findAvailableUpdates
+ * @returns {string} HTML string for the updates view
+ */
+function createUpdatesView(updates) {
+    return `
+    <div class="mlpchag-updates">
+        <h3>Updates available</h3>
+        ${updates.length === 0 ? '<div class="no-characters-found">All imported cards are up to date</div>' : `
+            <div class="update-mode">
+                <label><input type="radio" name="updateMode" value="replace" checked> Replace the existing character (chats are kept)</label>
+                <label><input type="radio" name="updateMode" value="copy"> Keep the old card and import a copy</label>
+            </div>
+            <div class="updates-list">
+                ${updates.map(({ path, entry, record, local }) => `
+                    <label class="update-item">
+                        <input type="checkbox" class="update-select" data-path="${sanitizeText(path)}" checked>
+                        <img class="thumbnail" src="${sanitizeText(entry.url)}" onerror="this.src='img/ai4.png'" alt="${sanitizeText(entry.name)}">
+                        <div class="info">
+                            <div class="name">${sanitizeText(entry.name)}</div>
+                            <div class="author">by ${sanitizeText(entry.author)} &middot; local: ${sanitizeText(local.name)}</div>
+                            <div class="update-dates">
+                                Imported version ${sanitizeText(new Date(record.dateupdate).toLocaleDateString())}
+                                &rarr; updated ${sanitizeText(new Date(entry.dateupdate).toLocaleDateString())}
+                            </div>
+                        </div>
+                    </label>
+                `).join('')}
+            </div>
+        `}
+        <div class="return-section">
+            ${updates.length > 0 ? `
+                <button class="action-button reimport-button">
+                    <i class="fa-solid fa-rotate"></i> Re-import selected
+                </button>
+            ` : ''}
+            <button class="return-button">
+                <i class="fa-solid fa-arrow-left"></i> Return to List
+            </button>
+        </div>
+    </div>`;
+}
+
+/**
+ * Displays the "Updates available" view
+ */
+function displayUpdatesView() {
+    if (!catalogIndex) return;
+
+    leavePreview();
+    callPopup(createUpdatesView(findAvailableUpdates(catalogIndex)), 'html');
+
+    const view = document.querySelector('.mlpchag-updates');
+    if (!view) return;
+
+    view.querySelector('.reimport-button')?.addEventListener('click', async (e) => {
+        const button = e.currentTarget;
+        const replace = view.querySelector('input[name="updateMode"]:checked')?.value === 'replace';
+        const paths = Array.from(view.querySelectorAll('.update-select:checked')).map(box => box.dataset.path);
+        if (paths.length === 0) {
+            toastr.warning('No updates selected');
+            return;
+        }
+
+        button.disabled = true;
+        const lorebookMode = await getBatchLorebookMode(paths.length);
+        let failed = 0;
+        for (const path of paths) {
+            try {
+                const record = extension_settings.mlpchag.importLedger[path];
+                await importCard(path, replace ? record.avatar : undefined, lorebookMode);
+            } catch (error) {
+                console.error('Failed to re-import character:', error);
+                failed++;
+            }
+        }
+
+        if (failed > 0) {
+            toastr.error(`${failed} of ${paths.length} cards failed to update`);
+        } else {
+            toastr.success(`${paths.length} cards updated`);
+        }
+        displayUpdatesView();
+    });
+
+    view.querySelector('.return-button')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        displayCharactersInListViewPopup();
+    });
+}
+
+// ==========================================================================
+// Card Data
+// ==========================================================================
+
+/**
+ * Reads the tEXt chunks of a PNG file
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @returns {Object} Chunk texts keyed by lowercased keyword
+ */
+function readPngTextChunks(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    if (!signature.every((byte, i) => bytes[i] === byte)) {
+        throw new Error('Not a PNG file');
+    }
+
+    const latin1 = new TextDecoder('latin1');
+    const chunks = {};
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'tEXt') {
+            const separator = data.indexOf(0);
+            if (separator > 0) {
+                chunks[latin1.decode(data.subarray(0, separator)).toLowerCase()] = latin1.decode(data.subarray(separator + 1));
+            }
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+/**
+ * Extracts the character card embedded in a PNG, preferring V3 (ccv3) over V2 (chara)
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @returns {Object|null} Card JSON or null if none is embedded
+ */
+function parseCardPng(buffer) {
+    const chunks = readPngTextChunks(buffer);
+    const encoded = chunks.ccv3 || chunks.chara;
+    if (!encoded) return null;
+
+    const binary = atob(encoded);
+    const json = new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    return JSON.parse(json);
+}
+
+/**
+ * Returns the character fields of a card regardless of its spec version
+ * @param {Object} card - Card JSON
+ * @returns {Object} V2/V3 data object, or the card itself for V1
+ */
+function getCardFields(card) {
+    return card?.data && typeof card.data === 'object' ? card.data : card || {};
+}
+
+/**
+ * Fetches a card PNG and parses its embedded data
+ * @param {string} cardPath - Path to the character card
+ * @returns {Promise<Object|null>} Card JSON or null if none is embedded
+ */
+async function fetchCardData(cardPath) {
+    if (cardDataCache.has(cardPath)) {
+        return cardDataCache.get(cardPath);
+    }
+
+    const response = await fetch(`${API_ENDPOINT}/cards/${cardPath}`);
+    if (!response.ok) throw new Error('Failed to fetch character data');
+
+    const card = parseCardPng(await response.arrayBuffer());
+    cardDataCache.set(cardPath, card);
+    if (cardDataCache.size > CARD_DATA_CACHE_SIZE) {
+        cardDataCache.delete(cardDataCache.keys().next().value);
+    }
+    return card;
+}
+
+// ==========================================================================
+// Local Comparison
+// ==========================================================================
+
+// Card fields compared against the local character, in display order
+const COMPARE_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'description', label: 'Description' },
+    { key: 'personality', label: 'Personality' },
+    { key: 'scenario', label: 'Scenario' },
+    { key: 'first_mes', label: 'First message' },
+    { key: 'alternate_greetings', label: 'Alternate greetings' },
+    { key: 'mes_example', label: 'Example dialogue' },
+    { key: 'system_prompt', label: 'System prompt' },
+    { key: 'post_history_instructions', label: 'Post-history instructions' },
+    { key: 'creator_notes', label: 'Creator notes' },
+    { key: 'character_book', label: 'Lorebook' },
+    { key: 'tags', label: 'Tags' },
+    { key: 'creator', label: 'Creator' },
+    { key: 'character_version', label: 'Version' },
+];
+
+/**
+ * Finds the local character to compare a catalog entry with, preferring the one it was imported as
+ * @param {Object} entry - Catalog character entry
+ * @returns {Object|null} SillyTavern character or null
+ */
+function findLocalCharacter(entry) {
+    const record = extension_settings.mlpchag.importLedger[entry.path];
+    const characters = getContext().characters || [];
+    return (record && characters.find(local => local.avatar === record.avatar)) || findLibraryMatch(entry);
+}
+
+/**
+ * Flattens a card field into comparable text
+ * @param {Object} data - Card data fields
+ * @param {string} key - Field name
+ * @returns {string} Text form of the field
+ */
+function getComparableText(data, key) {
+    const value = data?.[key];
+    if (!value) return '';
+
+    switch (key) {
+        case 'alternate_greetings':
+            return value.map((greeting, index) => `[Greeting ${index + 2}]\n${greeting}`).join('\n\n');
+        case 'tags':
+            return [...value].sort().join(', ');
+        case 'character_book':
+            return (value.entries || [])
+                .map(entry => `[${(entry.keys || []).join(', ')}]${entry.enabled === false ? ' (disabled)' : ''}\n${entry.content || ''}`)
+                .join('\n\n');
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Computes a line diff between two texts
+ * @param {string} before - Local text
+ * @param {string} after - Remote text
+ * @returns {Array<Object>} Lines as { type: 'same'|'removed'|'added', text }
+ */
+function diffLines(before, after) {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+
+    // Only the part between the common prefix and suffix needs diffing
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const lines = a.slice(0, start).map(text => ({ type: 'same', text }));
+    const suffix = a.slice(endA).map(text => ({ type: 'same', text }));
+    const n = endA - start;
+    const m = endB - start;
+
+    // Too large to diff line by line: show the changed block as a whole
+    if (n * m > DIFF_MAX_CELLS) {
+        a.slice(start, endA).forEach(text => lines.push({ type: 'removed', text }));
+        b.slice(start, endB).forEach(text => lines.push({ type: 'added', text }));
+        return lines.concat(suffix);
+    }
+
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && a[start + i] === b[start + j]) {
+            lines.push({ type: 'same', text: a[start + i++] });
+            j++;
+        } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push({ type: 'removed', text: a[start + i++] });
+        } else {
+            lines.push({ type: 'added', text: b[start + j++] });
+        }
+    }
+    return lines.concat(suffix);
+}
+
+
+/**
+ * Creates the HTML for the comparison of a remote card with its local copy
+ * @param {Object} character - Catalog character entry
+ * @param {Object} local - Matching SillyTavern character
+ * @param {Object} card - Remote card parsed from the PNG
+ * @returns {string} HTML string for the comparison view
+ */
+function createComparisonView(character, local, card) {
+    const localData = getCardFields(local);
+    const remoteData = getCardFields(card);
+    const fields = COMPARE_FIELDS.map(({ key, label }) => {
+        const before = getComparableText(localData, key);
+        const after = getComparableText(remoteData, key);
+        return { label, changed: before !== after, lines: before !== after ? diffLines(before, after) : [] };
+    });
+    const changed = fields.filter(field => field.changed);
+    const markers = { same: ' ', removed: '-', added: '+' };
+
+    return `
+    <div class="mlpchag-compare">
+        <h3>${sanitizeText(character.name)}: MLPCHAG vs. local "${sanitizeText(local.name)}"</h3>
+        <p class="compare-summary">
+            ${changed.length === 0 ? 'The local character matches the MLPCHAG card.' :
+                `${changed.length} of ${fields.length} fields differ: ${changed.map(field => sanitizeText(field.label)).join(', ')}`}
+        </p>
+        <div class="compare-fields">
+            ${fields.map(field => `
+                <details class="compare-field ${field.changed ? 'changed' : ''}" ${field.changed ? 'open' : ''}>
+                    <summary>${sanitizeText(field.label)} <span class="compare-status">${field.changed ? 'changed' : 'unchanged'}</span></summary>
+                    ${field.changed ? `
+                        <pre class="compare-diff">${field.lines.map(line =>
+                            `<span class="diff-${line.type}">${markers[line.type]} ${sanitizeText(line.text)}</span>`).join('\n')}</pre>
+                    ` : ''}
+                </details>
+            `).join('')}
+        </div>
+        <div class="return-section">
+            <button class="action-button compare-import" data-mode="replace" title="Overwrite the local character, keeping its chats">
+                <i class="fa-solid fa-file-import"></i> Import remote
+            </button>
+            <button class="action-button compare-import" data-mode="copy">
+                <i class="fa-solid fa-copy"></i> Import as new copy
+            </button>
+            <button class="return-button compare-keep">
+                <i class="fa-solid fa-arrow-left"></i> Keep mine
+            </button>
+        </div>
+    </div>`;
+}
+
+/**
+ * Displays the diff between a remote card and the matching local character
+ * @param {Object} character - Catalog character entry
+ */
+async function displayComparisonView(character) {
+    const local = findLocalCharacter(character);
+    if (!local) {
+        toastr.warning(`${character.name} is not in your library`);
+        return;
+    }
+
+    let card;
+    try {
+        card = await fetchCardData(character.path);
+    } catch (error) {
+        console.error('Failed to load card for comparison:', error);
+    }
+    if (!card) {
+        toastr.error('The MLPCHAG card has no readable character data');
+        return;
+    }
+
+    leavePreview();
+    callPopup(createComparisonView(character, local, card), 'html', '', { wide: true });
+
+    const view = document.querySelector('.mlpchag-compare');
+    if (!view) return;
+
+    view.querySelectorAll('.compare-import').forEach(button => {
+        button.addEventListener('click', async () => {
+            const replace = button.dataset.mode === 'replace';
+            view.querySelectorAll('button').forEach(b => b.disabled = true);
+            try {
+                await importCard(character.path, replace ? local.avatar : undefined);
+                toastr.success(replace ? `${local.name} updated` : `${character.name} imported as a copy`);
+            } catch (error) {
+                console.error('Failed to import character:', error);
+                toastr.error('Failed to import character');
+            }
+            showCharacterPreview(character, previewResults);
+        });
+    });
+
+    view.querySelector('.compare-keep')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        showCharacterPreview(character, previewResults);
+    });
+}
+
+// ==========================================================================
+// UI Components
+// ==========================================================================
+
+/**
+ * Estimates the token count of a text
+ * @param {string} text - Text to measure
+ * @returns {number} Approximate number of tokens
+ */
+function estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Renders card text the way SillyTavern renders chat messages, with {{char}} and {{user}} substituted
+ * @param {string} text - Raw card text
+ * @param {string} charName - Name substituted for {{char}}
+ * @returns {string} Sanitized HTML
+ */
+function formatCardText(text, charName) {
+    // Plain replacement only: the macro engine would run remote card macros (setvar etc.)
+    const substituted = text.replace(/\{\{char\}\}/gi, () => charName).replace(/\{\{user\}\}/gi, () => name1);
+    return messageFormatting(substituted, charName, false, false, -1);
+}
+
+/**
+ * Renders a collapsible-free preview section
+ * @param {string} title - Section title
+ * @param {string} content - Section body HTML
+ * @param {string} [contentClass] - Extra class for the content element
+ * @param {number} [tokens] - Approximate token count shown in the header
+ * @returns {string} HTML string for the section
+ */
+function renderPreviewSection(title, content, contentClass = '', tokens = 0) {
+    return `
+        <div class="preview-section">
+            <div class="section-header">
+                <h3>${title}</h3>
+                ${tokens ? `<span class="token-count">~${tokens} tokens</span>` : ''}
+            </div>
+            <div class="section-content ${contentClass}">
+                ${content}
+            </div>
+        </div>`;
+}
+
+/**
+ * Renders the greetings section with navigation dots
+ * @param {Array<string>} greetings - Greetings, the first one shown initially
+ * @param {string} charName - Name substituted for {{char}}
+ * @returns {string} HTML string for the section
+ */
+function renderGreetingsSection(greetings, charName) {
+    return renderPreviewSection('Greetings', `
+        ${greetings.map((greeting, index) => `
+            <div class="greeting mes_text ${index === 0 ? 'active' : ''}">
+                ${formatCardText(greeting, charName)}
+                <div class="token-count">~${estimateTokens(greeting)} tokens</div>
+            </div>
+        `).join('')}
+        ${greetings.length > 1 ? `
+            <div class="greeting-nav">
+                ${greetings.map((_, index) => `
+                    <button class="greeting-dot ${index === 0 ? 'active' : ''}"
+                            data-index="${index}">
+                        ${index + 1}
+                    </button>
+                `).join('')}
+            </div>
+        ` : ''}
+    `, 'greetings-content');
+}
+
+/**
+ * Renders the entries of an embedded lorebook
+ * @param {Object} book - character_book from the card
+ * @returns {string} HTML string for the entries
+ */
+function renderLorebookEntries(book) {
+    return book.entries.map((entry, index) => `
+        <details class="lorebook-entry">
+            <summary>
+                ${sanitizeText(entry.comment || entry.name || `Entry ${index + 1}`)}
+                <span class="lorebook-keys">${sanitizeText((entry.keys || []).join(', '))}</span>
+                ${entry.enabled === false ? '<span class="lorebook-disabled">disabled</span>' : ''}
+            </summary>
+            <p class="preformatted">${sanitizeText(entry.content || '')}</p>
+        </details>
+    `).join('');
+}
+
+/**
+ * Creates the preview modal HTML for a character
+ * @param {Object} character - Character data object
+ * @param {Object|null} [card] - Card parsed from the PNG, if available
+ * @param {Object|null} [position] - Index and total of the card in the browsed results
+ * @returns {string} HTML string for the preview modal
+ */
+function createPreviewModal(character, card = null, position = null) {
+    const data = card ? getCardFields(card) : {};
+    // Remote cards do not always follow the spec, so list fields are checked before use
+    const cardTags = Array.isArray(data.tags) ? data.tags : [];
+    const alternateGreetings = Array.isArray(data.alternate_greetings) ? data.alternate_greetings : [];
+    const catalogGreetings = Array.isArray(character.greetings) ? character.greetings :
+        character.greetings ? [character.greetings] : [];
+    const greetings = data.first_mes !== undefined ?
+        [data.first_mes, ...alternateGreetings].filter(Boolean) :
+        catalogGreetings;
+    const charName = data.name || character.name;
+    // Prose fields get chat formatting, prompt fields are shown verbatim
+    const textSection = (title, text) => text ? renderPreviewSection(title,
+        formatCardText(text, charName), 'mes_text', estimateTokens(text)) : '';
+    const rawSection = (title, text) => text ? renderPreviewSection(title,
+        `<p class="preformatted">${sanitizeText(text)}</p>`, '', estimateTokens(text)) : '';
+    const version = [
+        card?.spec && `${card.spec} ${card.spec_version || ''}`.trim(),
+        data.character_version && `version ${data.character_version}`,
+        data.creator && `created by ${data.creator}`,
+    ].filter(Boolean).join(' &middot; ');
+
+    return `
+    <div class="character-preview-modal">
+        <div class="preview-content">
+            <div class="preview-image-section">
+                <img src="${sanitizeText(character.url)}" alt="${sanitizeText(character.name)}" class="preview-image">
+                <div class="preview-header">
+                    <h2 class="preview-name">
+                        ${sanitizeText(character.name)}
+                        <i class="favorite-toggle fa-star ${isFavorite(character.path) ? 'fa-solid favorited' : 'fa-regular'}"
+                            data-path="${sanitizeText(character.path)}"
+                            title="Toggle in ${sanitizeText(extension_settings.mlpchag.activeFavoriteList)}"></i>
+                    </h2>
+                    ${character.installed ? '<span class="installed-badge" title="Already in your library"><i class="fa-solid fa-check"></i> In library</span>' : ''}
+                    <p class="preview-author">by <a href="#" class="author-link" data-author="${sanitizeText(character.author)}">${sanitizeText(character.author)}</a></p>
+                    ${version ? `<p class="preview-version">${sanitizeText(version)}</p>` : ''}
+                    ${cardTags.length ? `
+                        <div class="character-tags">
+                            ${cardTags.map(tag => `<span class="character-tag">${sanitizeText(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+                <a href="#" class="download-button" data-path="${sanitizeText(character.path)}">
+                    <i class="fa-solid fa-download"></i> Download
+                </a>
+                ${character.installed ? `
+                    <a href="#" class="download-button compare-button" data-path="${sanitizeText(character.path)}">
+                        <i class="fa-solid fa-code-compare"></i> Compare with local
+                    </a>
+                ` : ''}
+            </div>
+            
+            <div class="preview-sections">
+                ${textSection('Description', data.description || character.description)}
+                ${textSection('Personality', data.personality || character.personality)}
+                ${textSection('Scenario', data.scenario || character.scenario)}
+                ${greetings.length > 0 ? renderGreetingsSection(greetings, charName) : ''}
+                ${rawSection('Example Dialogue', data.mes_example)}
+                ${rawSection('System Prompt', data.system_prompt)}
+                ${rawSection('Post-History Instructions', data.post_history_instructions)}
+                ${textSection('Creator Notes', data.creator_notes)}
+                ${data.character_book?.entries?.length ? renderPreviewSection(
+                    `Lorebook${data.character_book.name ? `: ${sanitizeText(data.character_book.name)}` : ''} (${data.character_book.entries.length} entries)`,
+                    renderLorebookEntries(data.character_book)) : ''}
+                ${card ? `
+                    <details class="raw-card-json">
+                        <summary>Raw card JSON</summary>
+                        <pre>${sanitizeText(JSON.stringify(card, null, 2))}</pre>
+                    </details>
+                ` : ''}
+            </div>
+
+            <!-- Return to List button -->
+            <div class="return-section" style="margin-top: 15px;">
+                <button class="return-button">
+                    <i class="fa-solid fa-arrow-left"></i> Return to List
+                </button>
+                ${position ? `
+                    <div class="preview-nav">
+                        <button class="preview-nav-button" data-step="-1" title="Previous result (Left arrow)"
+                            ${position.index === 0 ? 'disabled' : ''}>
+                            <i class="fa-solid fa-chevron-left"></i>
+                        </button>
+                        <span class="preview-position">${position.index + 1} / ${position.total}</span>
+                        <button class="preview-nav-button" data-step="1" title="Next result (Right arrow)"
+                            ${position.index === position.total - 1 ? 'disabled' : ''}>
+                            <i class="fa-solid fa-chevron-right"></i>
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+    </div>`;
+}
+
+// ==========================================================================
+// Character List View Management
+// ==========================================================================
+
+/**
+ * Creates the HTML for one character in the list or grid
+ * @param {Object} char - Character entry
+ * @param {Object} [options] - { lazy } to load the thumbnail only once it scrolls into view
+ * @returns {string} HTML string for the character, empty if the entry is unusable
+ */
+function renderCharacterItem(char, { lazy = false } = {}) {
+    try {
+        // Validate required character data
+        if (!char.name || !char.author) {
+            console.warn('Skipping character with missing data:', char);
+            return '';
+        }
+
+        // Create tag elements if character has tags
+        const tagElements = char.tags ? `
+            <div class="character-tags">
+                ${char.tags.map(tag => `
+                    <span class="character-tag" data-tag="${sanitizeText(tag)}">
+                        ${sanitizeText(tag)} ${tagCounts[tag] ? `(${tagCounts[tag]})` : ''}
+                    </span>
+                `).join('')}
+            </div>
+        ` : '';
+
+        // Return the character card HTML
+        return `
+            <div class="character-list-item">
+                ${batchMode ? `<input type="checkbox" class="char-select" data-path="${sanitizeText(char.path)}" ${selectedPaths.has(char.path) ? 'checked' : ''}>` : ''}
+                <img class="thumbnail"
+                    ${lazy ? 'data-src' : 'src'}="${sanitizeText(char.url)}"
+                    onerror="this.src='img/ai4.png'"
+                    alt="${sanitizeText(char.name)}">
+                <div class="info">
+                    <div class="name">
+                        ${sanitizeText(char.name)}
+                        ${char.installed ? '<span class="installed-badge" title="Already in your library"><i class="fa-solid fa-check"></i> In library</span>' : ''}
+                    </div>
+                    <div class="author">by <a href="#" class="author-link" data-author="${sanitizeText(char.author)}">${sanitizeText(char.author)}</a></div>
+                    <div class="description">${sanitizeText(char.description || '')}</div>
+                    ${tagElements}
+                </div>
+                <div class="favorite-btn fa-star ${isFavorite(char.path) ? 'fa-solid favorited' : 'fa-regular'}"
+                    data-path="${sanitizeText(char.path)}"
+                    title="Toggle in ${sanitizeText(extension_settings.mlpchag.activeFavoriteList)}">
+                </div>
+                <div class="download-btn fa-solid fa-download" 
+                    data-path="${sanitizeText(char.path)}" 
+                    title="Download ${sanitizeText(char.name)}">
+                </div>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error creating character element:', error, char);
+        return '';
+    }
+}
+
+/**
+ * Updates the character list display in the UI
+ * @param {Array} characters - Array of character objects to display; the grid layout takes all results
+ */
+function updateCharacterListInView(characters) {
+    if (!characterListContainer) return;
+    currentPageCharacters = characters;
+
+    const grid = isGridLayout();
+    characterListContainer.classList.toggle('grid-layout', grid);
+    if (grid) {
+        renderGrid(characters);
+        updateTagCountDisplay();
+        return;
+    }
+
+    const characterElements = characters
+        .map(char => renderCharacterItem(char))
+        .filter(Boolean); // Remove empty entries
+
+    // Display message if no characters found
+    if (characterElements.length === 0) {
+        characterListContainer.innerHTML = '<div class="no-characters-found">No valid characters found</div>';
+        return;
+    }
+
+    // Update the container with character elements
+    characterListContainer.innerHTML = characterElements.join('');
+
+    // Update tag count displays
+    updateTagCountDisplay();
+}
+
+/**
+ * Handles click events within the character list container
+ * @param {Event} event - Click event
+ */
+async function handleCharacterListClick(event) {
+    if (event.target.classList.contains('char-select')) {
+        const checkbox = event.target;
+        const path = checkbox.dataset.path;
+        if (event.shiftKey && lastSelectedPath) {
+            selectRange(lastSelectedPath, path, checkbox.checked);
+        } else {
+            setPathsSelected([path], checkbox.checked);
+        }
+        lastSelectedPath = path;
+        return;
+    } else if (event.target.classList.contains('author-link')) {
+        event.preventDefault();
+        displayAuthorView(event.target.dataset.author);
+    } else if (event.target.classList.contains('favorite-btn')) {
+        toggleFavorite(event.target.dataset.path);
+        updateFavoriteButton(event.target);
+    } else if (event.target.classList.contains('download-btn')) {
+        // Handle direct download click
+        downloadCharacter(event.target.getAttribute('data-path'));
+    } else {
+        // Handle character preview click
+        const listItem = event.target.closest('.character-list-item');
+        if (listItem) {
+            await handleCharacterPreview(listItem);
+        }
+    }
+}
+
+/**
+ * Handles the character preview modal display and interaction
+ * @param {HTMLElement} listItem - The clicked character list item
+ */
+async function handleCharacterPreview(listItem) {
+    const path = listItem.querySelector('.download-btn').getAttribute('data-path');
+    const character = catalogIndex?.byPath.get(path);
+    if (character) {
+        // Author views browse their own cards, the main list the whole filtered result set
+        const results = listItem.closest('.author-character-list') ? currentPageCharacters : mlpcharacters;
+        await showCharacterPreview(character, results);
+    }
+}
+
+/**
+ * Loads the embedded card data and displays the preview modal
+ * @param {Object} character - Catalog character entry
+ * @param {Array} [results] - Result set the preview can step through
+ */
+async function showCharacterPreview(character, results = mlpcharacters) {
+    // Steps continue from the latest requested card, even while its data is loading
+    const requestId = ++previewRequestId;
+    const index = results.indexOf(character);
+    previewResults = results;
+    previewIndex = index;
+
+    try {
+        let card = null;
+        try {
+            card = await fetchCardData(character.path);
+        } catch (error) {
+            // The catalog fields are still worth showing
+            console.error('Error loading character card:', error);
+        }
+
+        // A later step owns the popup now
+        if (requestId !== previewRequestId) return;
+
+        // Create and display the preview modal
+        const position = index >= 0 ? { index, total: results.length } : null;
+        const modal = createPreviewModal(character, card, position);
+        const closed = callPopup(modal, 'html');
+
+        // Arrow keys step through the results only while a preview is shown
+        document.addEventListener('keydown', handlePreviewKeydown);
+        closed.then(() => {
+            // Stepping replaces the preview in the same popup; a newer preview keeps the listener
+            if (requestId === previewRequestId) {
+                leavePreview();
+            }
+        });
+
+        // Set up modal interactions
+        setupPreviewModalInteractions();
+    } catch (error) {
+        console.error('Error loading character preview:', error);
+        toastr.error('Could not display the character preview');
+    }
+}
+
+/**
+ * Sets up interactive elements within the preview modal
+ */
+function setupPreviewModalInteractions() {
+    const modalElement = document.querySelector('.character-preview-modal');
+    if (!modalElement) return;
+
+    // Setup greeting navigation
+    modalElement.querySelectorAll('.greeting-dot').forEach(dot => {
+        dot.addEventListener('click', () => {
+            const index = parseInt(dot.dataset.index);
+            const section = dot.closest('.greetings-content');
+            
+            // Update greeting visibility
+            section.querySelectorAll('.greeting').forEach(greeting => {
+                greeting.classList.remove('active');
+            });
+            section.querySelectorAll('.greeting')[index].classList.add('active');
+            
+            // Update navigation dots
+            section.querySelectorAll('.greeting-dot').forEach(d => {
+                d.classList.remove('active');
+            });
+            dot.classList.add('active');
+        });
+    });
+
+    // Setup author link
+    modalElement.querySelector('.author-link')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        displayAuthorView(e.currentTarget.dataset.author);
+    });
+
+    // Setup favorite toggle
+    modalElement.querySelector('.favorite-toggle')?.addEventListener('click', (e) => {
+        toggleFavorite(e.currentTarget.dataset.path);
+        updateFavoriteButton(e.currentTarget);
+    });
+
+    // Setup download button
+    modalElement.querySelector('.download-button')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        const path = e.target.closest('.download-button').dataset.path;
+        downloadCharacter(path);
+    });
+
+    // Setup local comparison
+    modalElement.querySelector('.compare-button')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        const character = catalogIndex?.byPath.get(e.currentTarget.dataset.path);
+        if (character) displayComparisonView(character);
+    });
+
+    // Setup previous/next result buttons
+    modalElement.querySelectorAll('.preview-nav-button').forEach(button => {
+        button.addEventListener('click', () => stepPreview(parseInt(button.dataset.step)));
+    });
+
+    // Setup "Return to List" button
+    const returnBtn = modalElement.querySelector('.return-button');
+    if (returnBtn) {
+        returnBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            displayCharactersInListViewPopup();
+        });
+    }
+}
+
+/**
+ * Moves the preview to the previous or next card of the browsed results
+ * @param {number} step - -1 for previous, 1 for next
+ */
+async function stepPreview(step) {
+    const next = previewResults[previewIndex + step];
+    if (!next) return;
+
+    // Return to the page the browsed card is on
+    if (searchState && previewResults === mlpcharacters && extension_settings.mlpchag.layout !== 'grid') {
+        const page = Math.floor((previewIndex + step) / extension_settings.mlpchag.findCount) + 1;
+        if (page !== searchState.page) {
+            searchState.page = page;
+            searchState.scrollTop = 0;
+        }
+    }
+    await showCharacterPreview(next, previewResults);
+}
+
+/**
+ * Steps through results with the arrow keys while a preview is open.
+ * Attached by showCharacterPreview, detached by leavePreview or when the popup closes.
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handlePreviewKeydown(event) {
+    if (!document.querySelector('.character-preview-modal')) return;
+    if (event.target.closest('input, textarea, select, [contenteditable]')) return;
+
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        event.preventDefault();
+        stepPreview(event.key === 'ArrowLeft' ? -1 : 1);
+    }
+}
+
+/**
+ * Leaves the preview when another view replaces it: pending previews are dropped
+ * and the arrow keys stop stepping through results
+ */
+function leavePreview() {
+    previewRequestId++;
+    document.removeEventListener('keydown', handlePreviewKeydown);
+}
+
+/**
+ * Updates the display of tag counts in the filter buttons
+ */
+function updateTagCountDisplay() {
+    if (!extension_settings.mlpchag.showTagCount || !extension_settings.mlpchag.autoLoadTags) {
+        // Hide all tag counts if the setting is disabled
+        document.querySelectorAll('.tag-count').forEach(span => {
+            span.style.display = 'none';
+        });
+        return;
+    }
+    
+    // Update tag buttons
+    document.querySelectorAll('.tag-button').forEach(button => {
+        const tagId = button.dataset.tag;
+        const count = tagOptionCounts[tagId] || 0;
+        const countSpan = button.querySelector('.tag-count');
+        
+        if (countSpan) {
+            countSpan.textContent = `(${count})`;
+            countSpan.style.display = 'inline';
+        }
+    });
+    
+    // Update category buttons
+    document.querySelectorAll('.category-button').forEach(button => {
+        const categoryId = button.dataset.tag;
+        const count = tagOptionCounts[categoryId] || 0;
+        const countSpan = button.querySelector('.tag-count');
+        
+        if (countSpan) {
+            countSpan.textContent = `(${count})`;
             countSpan.style.display = 'inline';
         }
     });
-    
-    // Update category buttons
-    document.querySelectorAll('.category-button').forEach(button => {
-        const categoryId = button.dataset.tag;
-        const count = tagCounts[categoryId] || 0;
-        const countSpan = button.querySelector('.tag-count');
-        
-        if (countSpan) {
-            countSpan.textContent = `(${count})`;
-            countSpan.style.display = 'inline';
+}
+
+// ==========================================================================
+// Favorites
+// ==========================================================================
+
+/**
+ * Returns the paths of the active favorite list, creating it if missing
+ * @returns {Array<string>} Card paths
+ */
+function getActiveFavorites() {
+    const settings = extension_settings.mlpchag;
+    if (!Object.hasOwn(settings.favoriteLists, settings.activeFavoriteList)) {
+        settings.activeFavoriteList = Object.keys(settings.favoriteLists)[0] || 'Favorites';
+        settings.favoriteLists[settings.activeFavoriteList] ??= [];
+    }
+    return settings.favoriteLists[settings.activeFavoriteList];
+}
+
+/**
+ * Checks whether a card is in the active favorite list
+ * @param {string} path - Card path
+ * @returns {boolean} True if favorited
+ */
+function isFavorite(path) {
+    return getActiveFavorites().includes(path);
+}
+
+/**
+ * Adds or removes a card from the active favorite list
+ * @param {string} path - Card path
+ */
+function toggleFavorite(path) {
+    const favorites = getActiveFavorites();
+    const index = favorites.indexOf(path);
+    if (index === -1) {
+        favorites.push(path);
+    } else {
+        favorites.splice(index, 1);
+    }
+    saveSettingsDebounced();
+
+    // Keep the list counts in the select current
+    const select = document.getElementById('favoriteListSelect');
+    if (select) {
+        select.innerHTML = renderFavoriteListOptions();
+    }
+}
+
+/**
+ * Updates a star button to reflect the favorite state of its card
+ * @param {HTMLElement} button - Star element with a data-path
+ */
+function updateFavoriteButton(button) {
+    const favorited = isFavorite(button.dataset.path);
+    button.classList.toggle('fa-solid', favorited);
+    button.classList.toggle('fa-regular', !favorited);
+    button.classList.toggle('favorited', favorited);
+}
+
+/**
+ * Renders the options of the favorite list select
+ * @returns {string} HTML option elements
+ */
+function renderFavoriteListOptions() {
+    const active = extension_settings.mlpchag.activeFavoriteList;
+    return Object.entries(extension_settings.mlpchag.favoriteLists).map(([name, paths]) => `
+        <option value="${sanitizeText(name)}" ${name === active ? 'selected' : ''}>${sanitizeText(name)} (${paths.length})</option>
+    `).join('');
+}
+
+/**
+ * Refreshes the favorite list select and re-runs the search
+ */
+function refreshFavoriteLists() {
+    const select = document.getElementById('favoriteListSelect');
+    if (select) {
+        select.innerHTML = renderFavoriteListOptions();
+    }
+    saveSettingsDebounced();
+    resetPageAndSearch();
+}
+
+/**
+ * Exports the active favorite list as a JSON file
+ */
+function exportFavoriteList() {
+    const name = extension_settings.mlpchag.activeFavoriteList;
+    const cards = getActiveFavorites().map(path => {
+        const entry = catalogIndex?.byPath.get(path);
+        return { path, name: entry?.name || null, author: entry?.author || null };
+    });
+
+    const content = JSON.stringify({ type: 'mlpchag-favorites', version: 1, lists: { [name]: cards } }, null, 2);
+    const fileName = `mlpchag-${name.replace(/[^\w-]+/g, '_').toLowerCase()}.json`;
+    download(content, fileName, 'application/json');
+}
+
+/**
+ * Imports favorite lists from a JSON export, merging lists that already exist
+ * @param {File} file - JSON file
+ */
+async function importFavoriteLists(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        if (data?.type !== 'mlpchag-favorites' || typeof data.lists !== 'object') {
+            throw new Error('Not an MLPCHAG favorites file');
+        }
+
+        const lists = extension_settings.mlpchag.favoriteLists;
+        let imported = 0;
+        for (const [name, cards] of Object.entries(data.lists)) {
+            if (!Array.isArray(cards)) continue;
+            const paths = cards.map(card => typeof card === 'string' ? card : card?.path).filter(Boolean);
+            lists[name] = [...new Set([...(Object.hasOwn(lists, name) ? lists[name] : []), ...paths])];
+            imported++;
+        }
+
+        toastr.success(`Imported ${imported} favorite lists`);
+        refreshFavoriteLists();
+    } catch (error) {
+        console.error('Failed to import favorites:', error);
+        toastr.error(`Failed to import favorites: ${error.message}`);
+    }
+}
+
+/**
+ * Sets up the favorites view toggle and list management buttons
+ */
+function setupFavoriteHandlers() {
+    document.getElementById('favoritesOnlyBtn')?.addEventListener('click', (e) => {
+        favoritesOnly = !favoritesOnly;
+        e.currentTarget.classList.toggle('selected', favoritesOnly);
+        resetPageAndSearch();
+    });
+
+    document.getElementById('favoriteListSelect')?.addEventListener('change', (e) => {
+        extension_settings.mlpchag.activeFavoriteList = e.target.value;
+        saveSettingsDebounced();
+        resetPageAndSearch();
+    });
+
+    document.getElementById('newFavoriteListBtn')?.addEventListener('click', async () => {
+        const name = await callGenericPopup('Name of the new favorite list:', POPUP_TYPE.INPUT, '');
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) return;
+        if (Object.hasOwn(extension_settings.mlpchag.favoriteLists, trimmed)) {
+            toastr.warning(`A list named "${trimmed}" already exists`);
+            return;
+        }
+        extension_settings.mlpchag.favoriteLists[trimmed] = [];
+        extension_settings.mlpchag.activeFavoriteList = trimmed;
+        refreshFavoriteLists();
+    });
+
+    document.getElementById('deleteFavoriteListBtn')?.addEventListener('click', async () => {
+        const lists = extension_settings.mlpchag.favoriteLists;
+        const name = extension_settings.mlpchag.activeFavoriteList;
+        if (Object.keys(lists).length <= 1) {
+            toastr.warning('The last favorite list cannot be deleted');
+            return;
+        }
+        const result = await callGenericPopup(`<h3>Delete the favorite list "${sanitizeText(name)}"?</h3>`, POPUP_TYPE.CONFIRM);
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+        delete lists[name];
+        extension_settings.mlpchag.activeFavoriteList = Object.keys(lists)[0];
+        refreshFavoriteLists();
+    });
+
+    document.getElementById('exportFavoritesBtn')?.addEventListener('click', exportFavoriteList);
+
+    const importInput = document.getElementById('importFavoritesInput');
+    document.getElementById('importFavoritesBtn')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', () => {
+        if (importInput.files?.[0]) {
+            importFavoriteLists(importInput.files[0]);
+        }
+        importInput.value = '';
+    });
+}
+
+// ==========================================================================
+// Author Profiles
+// ==========================================================================
+
+/**
+ * Groups the visible catalog entries by author
+ * @returns {Map<string, Object>} Groups keyed by lowercased author as { name, entries }
+ */
+function getAuthorGroups() {
+    const groups = new Map();
+    if (!catalogIndex) return groups;
+
+    const nsfwPositions = extension_settings.mlpchag.showNSFW ? null : catalogIndex.postings.get('nsfw');
+    catalogIndex.entries.forEach((entry, position) => {
+        if (nsfwPositions?.has(position)) return;
+        if (!groups.has(entry.authorLower)) {
+            groups.set(entry.authorLower, { name: entry.author, entries: [] });
+        }
+        groups.get(entry.authorLower).entries.push(entry);
+    });
+    return groups;
+}
+
+/**
+ * Summarizes an author's cards
+ * @param {Array<Object>} entries - The author's catalog entries
+ * @returns {Object} { firstUpload, lastUpdate, topTags }
+ */
+function summarizeAuthor(entries) {
+    const tagCountsByLabel = new Map();
+    entries.forEach(entry => entry.tags.forEach(tag => {
+        tagCountsByLabel.set(tag, (tagCountsByLabel.get(tag) || 0) + 1);
+    }));
+
+    return {
+        firstUpload: new Date(Math.min(...entries.map(entry => new Date(entry.datecreate)))),
+        lastUpdate: new Date(Math.max(...entries.map(entry => new Date(entry.dateupdate)))),
+        topTags: [...tagCountsByLabel].sort((a, b) => b[1] - a[1]).slice(0, 10),
+    };
+}
+
+/**
+ * Displays the index of all authors, sorted by number of cards
+ */
+function displayAuthorIndex() {
+    const authors = [...getAuthorGroups().values()]
+        .sort((a, b) => (b.entries.length - a.entries.length) || a.name.localeCompare(b.name));
+
+    leavePreview();
+    callPopup(`
+    <div class="mlpchag-authors">
+        <div class="author-index-header">
+            <h3>Authors (${authors.length})</h3>
+            <input type="text" class="author-index-search" placeholder="Find an author...">
+        </div>
+        <div class="author-index-list">
+            ${authors.map(author => `
+                <a href="#" class="author-index-item author-link" data-author="${sanitizeText(author.name)}" data-search="${sanitizeText(author.name.toLowerCase())}">
+                    <span class="author-index-name">${sanitizeText(author.name)}</span>
+                    <span class="author-index-count">${author.entries.length} cards</span>
+                </a>
+            `).join('')}
+        </div>
+        <div class="return-section">
+            <button class="return-button">
+                <i class="fa-solid fa-arrow-left"></i> Return to List
+            </button>
+        </div>
+    </div>`, 'html', '', { wide: true });
+
+    const view = document.querySelector('.mlpchag-authors');
+    if (!view) return;
+
+    view.querySelector('.author-index-search')?.addEventListener('input', (e) => {
+        const needle = e.target.value.trim().toLowerCase();
+        view.querySelectorAll('.author-index-item').forEach(item => {
+            item.style.display = !needle || item.dataset.search.includes(needle) ? '' : 'none';
+        });
+    });
+    view.querySelector('.author-index-list')?.addEventListener('click', (e) => {
+        const link = e.target.closest('.author-link');
+        if (link) {
+            e.preventDefault();
+            displayAuthorView(link.dataset.author);
+        }
+    });
+    view.querySelector('.return-button')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        displayCharactersInListViewPopup();
+    });
+}
+
+/**
+ * Displays an author's profile with all of their cards
+ * @param {string} authorName - Author to show
+ */
+function displayAuthorView(authorName) {
+    const group = getAuthorGroups().get(String(authorName).toLowerCase());
+    if (!group) {
+        toastr.warning(`No cards found for ${authorName}`);
+        return;
+    }
+
+    const entries = [...group.entries].sort((a, b) => new Date(b.dateupdate) - new Date(a.dateupdate));
+    const library = buildLibraryLookup();
+    entries.forEach(entry => {
+        entry.installed = !!findLibraryMatch(entry, library);
+    });
+    const { firstUpload, lastUpdate, topTags } = summarizeAuthor(entries);
+
+    leavePreview();
+    callPopup(`
+    <div class="mlpchag-author-view">
+        <div class="author-profile">
+            <h2>${sanitizeText(group.name)}</h2>
+            <div class="author-stats">
+                <span><i class="fa-solid fa-id-card"></i> ${entries.length} cards</span>
+                <span><i class="fa-solid fa-calendar"></i> ${sanitizeText(firstUpload.toLocaleDateString())} &ndash; ${sanitizeText(lastUpdate.toLocaleDateString())}</span>
+            </div>
+            ${topTags.length > 0 ? `
+                <div class="character-tags">
+                    ${topTags.map(([tag, count]) => `<span class="character-tag">${sanitizeText(tag)} (${count})</span>`).join('')}
+                </div>
+            ` : ''}
+            <div class="author-actions">
+                <button class="action-button author-download-all">
+                    <i class="fa-solid fa-download"></i> Download all by this author
+                </button>
+                <button class="action-button author-index-button">
+                    <i class="fa-solid fa-users"></i> All authors
+                </button>
+                <button class="return-button">
+                    <i class="fa-solid fa-arrow-left"></i> Return to List
+                </button>
+            </div>
+            <div id="downloadQueuePanel" class="download-queue" style="display: none;"></div>
+        </div>
+        <div class="character-list-popup author-character-list"></div>
+    </div>`, 'html', '', { wide: true });
+
+    const view = document.querySelector('.mlpchag-author-view');
+    if (!view) return;
+
+    // The author's cards reuse the regular list rendering and click handling
+    characterListContainer = view.querySelector('.author-character-list');
+    characterListContainer.addEventListener('click', handleCharacterListClick);
+    updateCharacterListInView(entries);
+    renderDownloadQueue();
+
+    view.querySelector('.author-download-all')?.addEventListener('click', () => {
+        startBatchDownload(entries.map(entry => entry.path));
+    });
+    view.querySelector('.author-index-button')?.addEventListener('click', displayAuthorIndex);
+    view.querySelector('.return-button')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        displayCharactersInListViewPopup();
+    });
+}
+
+// ==========================================================================
+// Grid Layout
+// ==========================================================================
+
+/**
+ * Whether the main result list is shown as a grid
+ * @returns {boolean} True for the grid layout
+ */
+function isGridLayout() {
+    return extension_settings.mlpchag.layout === 'grid' &&
+        !!characterListContainer && !characterListContainer.classList.contains('author-character-list');
+}
+
+/**
+ * Returns the scrolling element around the character list
+ * @returns {HTMLElement|null} Scroll container
+ */
+function getListScroller() {
+    return characterListContainer?.closest('.scrollable-content') || null;
+}
+
+/**
+ * Renders a result set into the virtualized grid; new results start from the top
+ * @param {Array<Object>} characters - All results to scroll through
+ */
+function renderGrid(characters) {
+    const scroller = getListScroller();
+    const newResults = characters !== gridCharacters;
+    gridCharacters = characters;
+    if (newResults) {
+        gridLoadedCount = Math.min(characters.length, extension_settings.mlpchag.findCount);
+    }
+
+    if (characters.length === 0) {
+        characterListContainer.innerHTML = '<div class="no-characters-found">No characters found</div>';
+        return;
+    }
+
+    characterListContainer.innerHTML = `
+        <div class="grid-viewport">
+            <div class="grid-window"></div>
+        </div>`;
+
+    if (scroller) {
+        if (newResults) scroller.scrollTop = 0;
+        if (!scroller.dataset.gridListenerAttached) {
+            scroller.addEventListener('scroll', scheduleGridRender, { passive: true });
+            scroller.dataset.gridListenerAttached = 'true';
+        }
+
+        gridResizeObserver?.disconnect();
+        gridResizeObserver = new ResizeObserver(scheduleGridRender);
+        gridResizeObserver.observe(scroller);
+
+        thumbnailObserver?.disconnect();
+        thumbnailObserver = new IntersectionObserver(entries => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                entry.target.src = entry.target.dataset.src;
+                thumbnailObserver.unobserve(entry.target);
+            });
+        }, { root: scroller, rootMargin: '200px' });
+    }
+
+    renderGridWindow();
+}
+
+/**
+ * Coalesces scroll and resize events into one grid render per frame
+ */
+function scheduleGridRender() {
+    if (gridRenderPending) return;
+    gridRenderPending = true;
+    requestAnimationFrame(() => {
+        gridRenderPending = false;
+        renderGridWindow();
+    });
+}
+
+/**
+ * Renders the grid rows around the visible area, loading more results as the end comes into view
+ */
+function renderGridWindow() {
+    const viewport = characterListContainer?.querySelector('.grid-viewport');
+    const scroller = getListScroller();
+    if (!viewport || !scroller) return;
+
+    const columns = Math.max(1, Math.floor((viewport.clientWidth + GRID_GAP) / (GRID_MIN_COLUMN_WIDTH + GRID_GAP)));
+    const scrollTop = Math.max(0, scroller.scrollTop - viewport.offsetTop);
+    const visibleEndRow = Math.ceil((scrollTop + scroller.clientHeight) / GRID_ROW_HEIGHT) + GRID_OVERSCAN_ROWS;
+
+    // Infinite scroll: grow the loaded range a page at a time
+    if (visibleEndRow * columns > gridLoadedCount && gridLoadedCount < gridCharacters.length) {
+        gridLoadedCount = Math.min(gridCharacters.length,
+            Math.max(gridLoadedCount + extension_settings.mlpchag.findCount, visibleEndRow * columns));
+    }
+
+    const rows = Math.ceil(gridLoadedCount / columns);
+    const firstRow = Math.max(0, Math.floor(scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN_ROWS);
+    const lastRow = Math.min(rows, visibleEndRow);
+    const start = firstRow * columns;
+    const end = Math.min(gridLoadedCount, lastRow * columns);
+
+    viewport.style.height = `${rows * GRID_ROW_HEIGHT}px`;
+
+    const range = `${start}-${end}-${columns}`;
+    if (viewport.dataset.range === range) return;
+    viewport.dataset.range = range;
+
+    const gridWindow = viewport.querySelector('.grid-window');
+    gridWindow.style.transform = `translateY(${firstRow * GRID_ROW_HEIGHT}px)`;
+    gridWindow.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+    gridWindow.style.gridAutoRows = `${GRID_ROW_HEIGHT - GRID_GAP}px`;
+    gridWindow.style.gap = `${GRID_GAP}px`;
+    gridWindow.innerHTML = gridCharacters.slice(start, end)
+        .map(char => renderCharacterItem(char, { lazy: true }))
+        .join('');
+
+    gridWindow.querySelectorAll('img[data-src]').forEach(img => {
+        if (thumbnailObserver) {
+            thumbnailObserver.observe(img);
+        } else {
+            img.src = img.dataset.src;
+        }
+    });
+}
+
+/**
+ * Returns the characters a "select page" action applies to
+ * @returns {Array<Object>} Current page, or everything the grid has loaded
+ */
+function getPageCharacters() {
+    return isGridLayout() ? gridCharacters.slice(0, gridLoadedCount) : currentPageCharacters;
+}
+
+/**
+ * Shows the paging controls only for the list layout and updates the layout toggle
+ */
+function syncLayoutControls() {
+    const grid = extension_settings.mlpchag.layout === 'grid';
+    const pageButtons = document.querySelector('.search-footer .page-buttons');
+    if (pageButtons) {
+        pageButtons.style.visibility = grid ? 'hidden' : '';
+    }
+
+    const toggle = document.getElementById('layoutToggleBtn');
+    if (toggle) {
+        toggle.innerHTML = grid ?
+            '<i class="fa-solid fa-list"></i> List' :
+            '<i class="fa-solid fa-table-cells"></i> Grid';
+        toggle.title = grid ? 'Show results as a paged list' : 'Show results as a scrolling thumbnail grid';
+    }
+}
+
+// ==========================================================================
+// Random Picker
+// ==========================================================================
+
+/**
+ * Picks random characters from the current filtered results, honoring the exclusion options
+ * @param {number} count - Number of distinct characters to pick
+ * @returns {Array<Object>} Picked characters, fewer if the pool is smaller
+ */
+function pickRandomCharacters(count) {
+    const settings = extension_settings.mlpchag;
+    const rolled = new Set(settings.randomExcludeRolled ? settings.randomHistory : []);
+    const pool = mlpcharacters.filter(char =>
+        !(settings.randomExcludeInstalled && char.installed) && !rolled.has(char.path));
+
+    // Partial Fisher-Yates shuffle
+    const picks = [];
+    for (let i = 0; i < Math.min(count, pool.length); i++) {
+        const j = i + Math.floor(Math.random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+        picks.push(pool[i]);
+    }
+    return picks;
+}
+
+/**
+ * Selects a random character from the current filtered list and records it in the history
+ * @returns {Object|null} A random character or null if no characters available
+ */
+function getRandomCharacter() {
+    const [character] = pickRandomCharacters(1);
+    if (!character) return null;
+
+    recordRandomPicks([character]);
+    return character;
+}
+
+/**
+ * Adds picks to the front of the random history
+ * @param {Array<Object>} characters - Picked characters
+ */
+function recordRandomPicks(characters) {
+    const paths = characters.map(char => char.path);
+    extension_settings.mlpchag.randomHistory = [
+        ...paths,
+        ...extension_settings.mlpchag.randomHistory.filter(path => !paths.includes(path)),
+    ].slice(0, RANDOM_HISTORY_SIZE);
+    saveSettingsDebounced();
+}
+
+/**
+ * Explains why no random character could be picked
+ */
+function warnNoRandomCandidates() {
+    if (mlpcharacters.length === 0) {
+        toastr.error('No characters available for random selection');
+    } else {
+        toastr.warning('Every matching card is excluded, clear the roll history or change the random options');
+    }
+}
+
+/**
+ * Renders a roulette candidate or history card
+ * @param {Object} character - Catalog character entry
+ * @returns {string} HTML string for the card
+ */
+function renderRandomCard(character) {
+    return `
+        <div class="random-card" data-path="${sanitizeText(character.path)}">
+            <img class="random-thumbnail" src="${sanitizeText(character.url)}" onerror="this.src='img/ai4.png'" alt="${sanitizeText(character.name)}">
+            <div class="name">${sanitizeText(character.name)}</div>
+            <div class="author">by ${sanitizeText(character.author)}</div>
+            ${character.installed ? '<span class="installed-badge" title="Already in your library"><i class="fa-solid fa-check"></i> In library</span>' : ''}
+            <button class="action-button random-download" data-path="${sanitizeText(character.path)}">
+                <i class="fa-solid fa-download"></i> Download
+            </button>
+        </div>`;
+}
+
+/**
+ * Displays the roulette view with fresh candidates and the history of recent picks
+ * @param {Array<Object>} [candidates] - Candidates to show instead of rolling new ones
+ */
+function displayRandomPicker(candidates = null) {
+    if (!candidates) {
+        candidates = pickRandomCharacters(ROULETTE_SIZE);
+        recordRandomPicks(candidates);
+    }
+
+    const settings = extension_settings.mlpchag;
+    const shown = new Set(candidates.map(char => char.path));
+    const history = settings.randomHistory
+        .filter(path => !shown.has(path))
+        .map(path => catalogIndex?.byPath.get(path))
+        .filter(Boolean);
+
+    leavePreview();
+    callPopup(`
+    <div class="mlpchag-random">
+        <div class="random-header">
+            <h3>Roulette</h3>
+            <label><input type="checkbox" class="random-exclude-installed" ${settings.randomExcludeInstalled ? 'checked' : ''}> Skip cards in my library</label>
+            <label><input type="checkbox" class="random-exclude-rolled" ${settings.randomExcludeRolled ? 'checked' : ''}> Skip recently rolled cards</label>
+        </div>
+        <p class="random-pool">Picking from ${mlpcharacters.length} cards matching the current search</p>
+        <div class="roulette-candidates">
+            ${candidates.length > 0 ? candidates.map(renderRandomCard).join('') :
+                '<div class="no-characters-found">No cards left to roll</div>'}
+        </div>
+        ${history.length > 0 ? `
+            <div class="random-history-header">
+                <h4>Recent picks</h4>
+                <button class="action-button random-clear-history">
+                    <i class="fa-solid fa-eraser"></i> Clear history
+                </button>
+            </div>
+            <div class="random-history">
+                ${history.map(renderRandomCard).join('')}
+            </div>
+        ` : ''}
+        <div class="return-section">
+            <button class="action-button random-reroll">
+                <i class="fa-solid fa-dice"></i> Reroll
+            </button>
+            <button class="return-button">
+                <i class="fa-solid fa-arrow-left"></i> Return to List
+            </button>
+        </div>
+    </div>`, 'html', '', { wide: true });
+
+    const view = document.querySelector('.mlpchag-random');
+    if (!view) return;
+
+    view.querySelector('.random-exclude-installed')?.addEventListener('change', (e) => {
+        updateSetting('randomExcludeInstalled', e.target.checked);
+    });
+    view.querySelector('.random-exclude-rolled')?.addEventListener('change', (e) => {
+        updateSetting('randomExcludeRolled', e.target.checked);
+    });
+
+    view.addEventListener('click', (e) => {
+        const download = e.target.closest('.random-download');
+        const card = e.target.closest('.random-card');
+        if (download) {
+            downloadCharacter(download.dataset.path);
+        } else if (card) {
+            const character = catalogIndex?.byPath.get(card.dataset.path);
+            const group = card.closest('.roulette-candidates') ? candidates : history;
+            if (character) showCharacterPreview(character, group);
+        }
+    });
+
+    view.querySelector('.random-reroll')?.addEventListener('click', () => {
+        const rolled = pickRandomCharacters(ROULETTE_SIZE);
+        if (rolled.length === 0) {
+            warnNoRandomCandidates();
+            return;
+        }
+        recordRandomPicks(rolled);
+        displayRandomPicker(rolled);
+    });
+    view.querySelector('.random-clear-history')?.addEventListener('click', () => {
+        settings.randomHistory = [];
+        saveSettingsDebounced();
+        displayRandomPicker(candidates);
+    });
+    view.querySelector('.return-button')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        displayCharactersInListViewPopup();
+    });
+}
+
+// ==========================================================================
+// Batch Selection
+// ==========================================================================
+
+/**
+ * Adds or removes paths from the selection and refreshes the selection UI
+ * @param {Array<string>} paths - Card paths
+ * @param {boolean} selected - Whether the paths should be selected
+ */
+function setPathsSelected(paths, selected) {
+    paths.forEach(path => selected ? selectedPaths.add(path) : selectedPaths.delete(path));
+    refreshSelectionView();
+}
+
+/**
+ * Applies a selection state to every result between two paths, inclusive
+ * @param {string} fromPath - Anchor path of the range
+ * @param {string} toPath - Clicked path
+ * @param {boolean} selected - Whether the range should be selected
+ */
+function selectRange(fromPath, toPath, selected) {
+    // The full filtered list keeps ranges working across page boundaries
+    const paths = mlpcharacters.map(char => char.path);
+    const from = paths.indexOf(fromPath);
+    const to = paths.indexOf(toPath);
+    if (from === -1 || to === -1) {
+        setPathsSelected([toPath], selected);
+        return;
+    }
+    setPathsSelected(paths.slice(Math.min(from, to), Math.max(from, to) + 1), selected);
+}
+
+/**
+ * Inverts the selection within the filtered results
+ */
+function invertSelection() {
+    mlpcharacters.forEach(char => {
+        if (selectedPaths.has(char.path)) {
+            selectedPaths.delete(char.path);
+        } else {
+            selectedPaths.add(char.path);
+        }
+    });
+    refreshSelectionView();
+}
+
+/**
+ * Clears the selection
+ */
+function clearSelection() {
+    selectedPaths.clear();
+    lastSelectedPath = null;
+    refreshSelectionView();
+}
+
+/**
+ * Syncs the list checkboxes and the selection bar with the selection
+ */
+function refreshSelectionView() {
+    characterListContainer?.querySelectorAll('.char-select').forEach(checkbox => {
+        checkbox.checked = selectedPaths.has(checkbox.dataset.path);
+    });
+    renderSelectionBar();
+}
+
+/**
+ * Renders the "N selected" bar with a removable chip per selected card
+ */
+function renderSelectionBar() {
+    const bar = document.getElementById('selectionBar');
+    if (!bar) return;
+
+    bar.style.display = batchMode ? 'block' : 'none';
+    if (!batchMode) return;
+
+    bar.querySelector('.selection-count').textContent = `${selectedPaths.size} selected`;
+    bar.querySelector('.selection-chips').innerHTML = [...selectedPaths].map(path => `
+        <span class="selection-chip" data-path="${sanitizeText(path)}">
+            ${sanitizeText(catalogIndex?.byPath.get(path)?.name || path)}
+            <i class="fa-solid fa-xmark chip-remove" title="Remove from selection"></i>
+        </span>
+    `).join('');
+}
+
+/**
+ * Sets up the selection bar buttons and chip removal
+ */
+function setupSelectionHandlers() {
+    const bar = document.getElementById('selectionBar');
+    if (!bar) return;
+
+    bar.querySelector('.select-page')?.addEventListener('click', () => {
+        setPathsSelected(getPageCharacters().map(char => char.path), true);
+    });
+    bar.querySelector('.select-all-results')?.addEventListener('click', () => {
+        setPathsSelected(mlpcharacters.map(char => char.path), true);
+    });
+    bar.querySelector('.select-invert')?.addEventListener('click', invertSelection);
+    bar.querySelector('.select-clear')?.addEventListener('click', clearSelection);
+    bar.querySelector('.selection-chips')?.addEventListener('click', (e) => {
+        const chip = e.target.closest('.chip-remove')?.closest('.selection-chip');
+        if (chip) {
+            setPathsSelected([chip.dataset.path], false);
+        }
+    });
+}
+
+// ==========================================================================
+// Search Query Language
+// ==========================================================================
+
+/**
+ * Character fields covered by full-text search
+ */
+const SEARCH_FIELDS = ['name', 'author', 'description', 'personality', 'scenario', 'greetings'];
+
+/**
+ * Normalizes a tag or category name for comparison ("Earth Pony" -> "earthpony")
+ * @param {string} tag - Tag to normalize
+ * @returns {string} Normalized tag
+ */
+function normalizeTag(tag) {
+    return String(tag).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Parses a search string into OR-separated clauses of terms.
+ *
+ * Supported syntax:
+ * - plain words and "quoted phrases" match any text field
+ * - author:name matches the author
+ * - tag:name requires a tag or category, -tag:name excludes it
+ * - a leading "-" negates any term
+ * - OR separates alternative clauses; terms within a clause are ANDed
+ *
+ * @param {string} searchTerm - Raw search input
+ * @returns {Array<Array<Object>>} Clauses of { field, value, negate } terms
+ */
+function parseSearchQuery(searchTerm) {
+    const clauses = [[]];
+    const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+
+    while ((match = tokenPattern.exec(searchTerm || '')) !== null) {
+        const [raw, negation, field, phrase, word] = match;
+        const value = (phrase ?? word ?? '').trim();
+
+        if (!negation && !field && phrase === undefined && word === 'OR') {
+            clauses.push([]);
+            continue;
+        }
+
+        const fieldName = field?.toLowerCase();
+        if (fieldName === 'author' || fieldName === 'tag') {
+            if (value) {
+                clauses[clauses.length - 1].push({ field: fieldName, value: value.toLowerCase(), negate: !!negation });
+            }
+        } else {
+            // Unknown prefixes are searched as plain text
+            const text = field ? raw.slice(negation.length).replace(/"/g, '') : value;
+            if (text) {
+                clauses[clauses.length - 1].push({ field: 'text', value: text.toLowerCase(), negate: !!negation });
+            }
+        }
+    }
+
+    return clauses.filter(clause => clause.length > 0);
+}
+
+/**
+ * Checks whether a character carries a tag or belongs to a category
+ * @param {Object} char - Character entry
+ * @param {string} tag - Tag or category to look for
+ * @returns {boolean} True if the character has the tag
+ */
+function characterHasTag(char, tag) {
+    return char.tagSet.has(normalizeTag(tag));
+}
+
+/**
+ * Relevance weights per matched field; fuzzy matches earn half
+ */
+const RELEVANCE_WEIGHTS = { name: 100, author: 50, text: 10 };
+
+/**
+ * Computes the Levenshtein distance between two strings, giving up early
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Distance above which the exact value is irrelevant
+ * @returns {number} Edit distance, or maxDistance + 1 if it exceeds the limit
+ */
+function boundedEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Splits lowercased text into words for fuzzy matching
+ * @param {string} text - Lowercased text
+ * @returns {Array<string>} Words
+ */
+function splitWords(text) {
+    return text.split(/[^\p{L}\p{N}']+/u).filter(Boolean);
+}
+
+/**
+ * Checks whether a single word is within typo distance of any candidate word
+ * @param {Array<string>} words - Lowercased words to scan
+ * @param {string} word - Lowercased search word
+ * @returns {boolean} True if a close enough word exists
+ */
+function fuzzyWordMatch(words, word) {
+    if (word.length < 4) return false;
+    const maxDistance = word.length < 8 ? 1 : 2;
+    return words.some(candidate =>
+        boundedEditDistance(candidate, word, maxDistance) <= maxDistance ||
+        // Allow typos in a partially typed word ("Fluttershi" -> "Fluttershy")
+        (candidate.length > word.length &&
+            boundedEditDistance(candidate.slice(0, word.length), word, maxDistance) <= maxDistance));
+}
+
+/**
+ * Scores a free-text term against a character. Typo tolerance only applies
+ * to single words in the name and author to keep keystrokes cheap.
+ * @param {Object} char - Character entry
+ * @param {string} value - Lowercased search term
+ * @returns {number} Relevance score, 0 if the term does not match
+ */
+function scoreTextTerm(char, value) {
+    const name = char.nameLower;
+    const author = char.authorLower;
+
+    if (name === value) return RELEVANCE_WEIGHTS.name * 2;
+    if (name.startsWith(value)) return RELEVANCE_WEIGHTS.name * 1.5;
+    if (name.includes(value)) return RELEVANCE_WEIGHTS.name;
+    if (author.includes(value)) return RELEVANCE_WEIGHTS.author;
+    if (char.searchText.includes(value)) return RELEVANCE_WEIGHTS.text;
+
+    if (!/\s/.test(value)) {
+        if (fuzzyWordMatch(char.nameWords, value)) return RELEVANCE_WEIGHTS.name / 2;
+        if (fuzzyWordMatch(char.authorWords, value)) return RELEVANCE_WEIGHTS.author / 2;
+    }
+    return 0;
+}
+
+/**
+ * Scores a single query term against a character
+ * @param {Object} char - Character entry
+ * @param {Object} term - Parsed query term
+ * @returns {number} Relevance score, 0 if the term does not match
+ */
+function scoreQueryTerm(char, term) {
+    switch (term.field) {
+        case 'author':
+            return char.authorLower.includes(term.value) ? RELEVANCE_WEIGHTS.author : 0;
+        case 'tag':
+            return characterHasTag(char, term.value) ? 1 : 0;
+        default:
+            return scoreTextTerm(char, term.value);
+    }
+}
+
+/**
+ * Scores a character against a parsed search query
+ * @param {Object} char - Character entry
+ * @param {Array<Array<Object>>} query - Parsed query clauses
+ * @returns {number} Relevance of the best matching clause, 0 if none match
+ */
+function scoreQuery(char, query) {
+    if (query.length === 0) return 1;
+
+    return Math.max(...query.map(clause => {
+        let score = 1;
+        for (const term of clause) {
+            const termScore = scoreQueryTerm(char, term);
+            if (term.negate) {
+                if (termScore > 0) return 0;
+            } else {
+                if (termScore === 0) return 0;
+                score += termScore;
+            }
+        }
+        return score;
+    }));
+}
+
+// ==========================================================================
+// Catalog Index
+// ==========================================================================
+
+/**
+ * Builds the search index for a loaded catalog. Entries are normalized once,
+ * and every tag and category maps to a posting list of entry positions.
+ * @param {Array} catalog - [maresData, filters] as returned by loadCatalog
+ * @returns {Object} Index with entries, postings and a path lookup
+ */
+function buildCatalogIndex(catalog) {
+    const [maresData, filters] = catalog;
+
+    // Every top-level list of paths in filters.json is a category
+    const categoryIds = Object.keys(filters).filter(key => key !== 'tags' && Array.isArray(filters[key]));
+    const categoryPaths = Object.fromEntries(categoryIds.map(category => [
+        category,
+        new Set((filters[category] || []).map(path => path.replace(/\\/g, '/'))),
+    ]));
+
+    const entries = Object.entries(maresData)
+        .filter(([key, value]) => {
+            // Basic validation
+            return value && typeof value === 'object' && value.name && value.author && !value.error;
+        })
+        .map(([key, value]) => createCharacterEntry(key, value, filters, categoryPaths));
+
+    const postings = new Map();
+    const tagLabels = new Map();
+    entries.forEach((entry, position) => {
+        entry.tagSet.forEach(tag => {
+            if (!postings.has(tag)) postings.set(tag, new Set());
+            postings.get(tag).add(position);
+        });
+        entry.tags.forEach(tag => {
+            if (!tagLabels.has(normalizeTag(tag))) tagLabels.set(normalizeTag(tag), tag);
+        });
+    });
+
+    return {
+        source: catalog,
+        entries,
+        postings,
+        categoryIds,
+        tagVocabulary: buildTagVocabulary(tagLabels, postings, categoryIds),
+        byPath: new Map(entries.map(entry => [entry.path, entry])),
+    };
+}
+
+/**
+ * Lists the tags used in the catalog, curated ones first in their curated order,
+ * followed by the remaining tags by popularity
+ * @param {Map<string, string>} tagLabels - Raw label per normalized tag
+ * @param {Map<string, Set<number>>} postings - Posting lists per normalized tag
+ * @param {Array<string>} categoryIds - Categories, which get their own buttons
+ * @returns {Array<Object>} Tags as { id, label, color, count, curated }
+ */
+function buildTagVocabulary(tagLabels, postings, categoryIds) {
+    categoryIds.forEach(id => tagLabels.delete(id));
+
+    const curated = TAGS
+        .filter(tag => tagLabels.has(normalizeTag(tag.id)))
+        .map(tag => ({ ...tag, count: postings.get(normalizeTag(tag.id)).size, curated: true }));
+    const curatedIds = new Set(curated.map(tag => normalizeTag(tag.id)));
+
+    const other = [...tagLabels]
+        .filter(([id]) => !curatedIds.has(id))
+        .map(([id, label]) => ({ id, label, color: null, count: postings.get(id).size, curated: false }))
+        .sort((a, b) => (b.count - a.count) || a.label.localeCompare(b.label));
+
+    return [...curated, ...other];
+}
+
+/**
+ * Returns the index for a catalog, rebuilding it only when the catalog changed
+ * @param {Array} catalog - [maresData, filters]
+ * @returns {Object} Catalog index
+ */
+function getCatalogIndex(catalog) {
+    if (catalogIndex?.source !== catalog) {
+        console.log('Building catalog index');
+        catalogIndex = buildCatalogIndex(catalog);
+
+        const updateCount = findAvailableUpdates(catalogIndex).length;
+        if (updateCount > 0 && updateCount !== announcedUpdateCount) {
+            toastr.info(`${updateCount} imported MLPCHAG cards have updates`, '', { timeOut: 4000 });
+        }
+        announcedUpdateCount = updateCount;
+    }
+    return catalogIndex;
+}
+
+/**
+ * Scores the search query against an index, narrowing by the tag state's posting
+ * lists first and skipping NSFW cards when they are hidden.
+ * Must stay self-contained: it is also serialized into the filter worker.
+ * @param {Object} index - Catalog index (or its worker copy)
+ * @param {Object} criteria - { query, tagState, showNSFW }; tagState may be null
+ * @returns {Array<Object>} Matches as { position, relevance }
+ */
+function filterCatalogIndex(index, { query, tagState, showNSFW }) {
+    const tagPostings = tagState ? resolveTagPostings(index, tagState) : null;
+    const candidates = tagPostings?.include ?
+        [...tagPostings.include].sort((a, b) => a - b) :
+        index.entries.map((_, position) => position);
+
+    // Handle NSFW settings
+    const nsfwPositions = showNSFW ? null : index.postings.get('nsfw');
+
+    const matches = [];
+    for (const position of candidates) {
+        if (nsfwPositions?.has(position) || tagPostings?.exclude.has(position)) continue;
+
+        const relevance = scoreQuery(index.entries[position], query);
+        if (relevance > 0) {
+            matches.push({ position, relevance });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Creates the Web Worker that runs large filter queries off the main thread.
+ * The worker is assembled from the same matching functions used here.
+ * @returns {Worker} Filter worker
+ */
+function createFilterWorker() {
+    const source = [
+        `const RELEVANCE_WEIGHTS = ${JSON.stringify(RELEVANCE_WEIGHTS)};`,
+        ...[
+            normalizeTag,
+            characterHasTag,
+            boundedEditDistance,
+            fuzzyWordMatch,
+            scoreTextTerm,
+            scoreQueryTerm,
+            scoreQuery,
+            resolveTagPostings,
+            narrowByTagPostings,
+            countTagOptions,
+            applyTagStateWithCounts,
+            filterCatalogIndex,
+        ].map(fn => fn.toString()),
+        `let index = null;
+self.onmessage = ({ data }) => {
+    if (data.type === 'index') {
+        index = data.index;
+        return;
+    }
+    const result = data.type === 'tags' ?
+        applyTagStateWithCounts(index, data.positions, data.tagState) :
+        filterCatalogIndex(index, data.criteria);
+    self.postMessage({ id: data.id, result });
+};`,
+    ].join('\n\n');
+
+    const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+    worker.onmessage = ({ data }) => {
+        pendingFilterRequests.get(data.id)?.resolve(data.result);
+        pendingFilterRequests.delete(data.id);
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        const error = new Error(event.message || 'Filter worker failed');
+        pendingFilterRequests.forEach(request => request.reject(error));
+        pendingFilterRequests.clear();
+    };
+    return worker;
+}
+
+/**
+ * Sends a job to the worker, shipping the index to it when it changed
+ * @param {Object} index - Catalog index
+ * @param {Object} message - { type: 'filter', criteria } or { type: 'tags', positions, tagState }
+ * @returns {Promise<*>} Result of the job
+ */
+function postToFilterWorker(index, message) {
+    if (!filterWorker) {
+        filterWorker = createFilterWorker();
+        filterWorkerSource = null;
+    }
+
+    if (filterWorkerSource !== index.source) {
+        // Only the fields the matching functions read are sent over
+        filterWorker.postMessage({
+            type: 'index',
+            index: {
+                postings: index.postings,
+                categoryIds: index.categoryIds,
+                tagVocabulary: index.tagVocabulary.map(({ id }) => ({ id })),
+                entries: index.entries.map(({ nameLower, authorLower, nameWords, authorWords, searchText, tagSet }) =>
+                    ({ nameLower, authorLower, nameWords, authorWords, searchText, tagSet })),
+            },
+        });
+        filterWorkerSource = index.source;
+    }
+
+    const id = ++filterRequestId;
+    return new Promise((resolve, reject) => {
+        pendingFilterRequests.set(id, { resolve, reject });
+        filterWorker.postMessage({ ...message, id });
+    });
+}
+
+/**
+ * Runs a job in the worker when it is large enough, on the main thread otherwise
+ * @param {Object} index - Catalog index
+ * @param {number} workload - Entries × filter terms the job covers
+ * @param {Object} message - Worker message describing the job
+ * @param {Function} runLocally - Runs the same job on the main thread
+ * @returns {Promise<*>} Result of the job
+ */
+async function runFilterJob(index, workload, message, runLocally) {
+    if (filterWorker !== false && typeof Worker !== 'undefined' && workload >= FILTER_WORKER_THRESHOLD) {
+        try {
+            return await postToFilterWorker(index, message);
+        } catch (error) {
+            console.warn('Filter worker unavailable, filtering on the main thread:', error);
+            filterWorker?.terminate?.();
+            filterWorker = false;
+        }
+    }
+    return runLocally();
+}
+
+/**
+ * Scores the query against the index, moving large queries to the worker.
+ * The last result is reused so redrawing the same search does not rescore the catalog.
+ * @param {Object} index - Catalog index
+ * @param {Object} criteria - { query, tagState, showNSFW }
+ * @returns {Promise<Array<Object>>} Matches as { position, relevance }
+ */
+async function queryCatalogIndex(index, criteria) {
+    const key = JSON.stringify(criteria);
+    if (queryMatchCache?.source === index.source && queryMatchCache.key === key) {
+        return queryMatchCache.matches;
+    }
+
+    const tagCount = criteria.tagState ?
+        criteria.tagState.included.length + criteria.tagState.excluded.length : 0;
+    const termCount = tagCount + criteria.query.reduce((sum, clause) => sum + clause.length, 0);
+    const workload = index.entries.length * termCount;
+    const matches = await runFilterJob(index, workload, { type: 'filter', criteria },
+        () => filterCatalogIndex(index, criteria));
+
+    queryMatchCache = { source: index.source, key, matches };
+    return matches;
+}
+
+// ==========================================================================
+// Tag Filter Logic
+// ==========================================================================
+
+/**
+ * Collects the current tag button state
+ * @returns {Object} { included, excluded, modes }
+ */
+function getTagState() {
+    return {
+        included: selectedTags,
+        excluded: excludedTags,
+        modes: extension_settings.mlpchag.tagGroupModes,
+    };
+}
+
+/**
+ * Resolves a tag state to position sets using the posting lists: included tags
+ * are intersected (AND) or unioned (OR) per group, then the groups intersected,
+ * and excluded tags are subtracted.
+ * Must stay self-contained: it is also serialized into the filter worker.
+ * @param {Object} index - Catalog index (or its worker copy)
+ * @param {Object} state - { included, excluded, modes }
+ * @returns {Object} { include: Set or null when nothing is included, exclude: Set }
+ */
+function resolveTagPostings(index, { included, excluded, modes }) {
+    const postingFor = tag => index.postings.get(normalizeTag(tag)) || new Set();
+
+    let include = null;
+    for (const group of ['categories', 'types']) {
+        const lists = included
+            .filter(tag => index.categoryIds.includes(tag) === (group === 'categories'))
+            .map(postingFor);
+        if (lists.length === 0) continue;
+
+        let groupPositions;
+        if (modes[group] === 'or') {
+            groupPositions = new Set(lists.flatMap(list => [...list]));
+        } else {
+            // Walk the shortest posting list and probe the others
+            lists.sort((a, b) => a.size - b.size);
+            groupPositions = new Set([...lists[0]].filter(position => lists.every(list => list.has(position))));
+        }
+        include = include ?
+            new Set([...include].filter(position => groupPositions.has(position))) :
+            groupPositions;
+    }
+
+    const exclude = new Set(excluded.flatMap(tag => [...postingFor(tag)]));
+    if (include) {
+        exclude.forEach(position => include.delete(position));
+    }
+    return { include, exclude };
+}
+
+/**
+ * Keeps the positions that pass a resolved tag state.
+ * Must stay self-contained: it is also serialized into the filter worker.
+ * @param {Array<number>} positions - Entry positions
+ * @param {Object} tagPostings - Result of resolveTagPostings
+ * @returns {Array<number>} Passing positions
+ */
+function narrowByTagPostings(positions, { include, exclude }) {
+    return positions.filter(position => include ? include.has(position) : !exclude.has(position));
+}
+
+/**
+ * Counts for every filter button how many results there would be with it included.
+ * Must stay self-contained: it is also serialized into the filter worker.
+ * @param {Object} index - Catalog index (or its worker copy)
+ * @param {Array<number>} positions - Entries matching everything but the tag buttons
+ * @param {Array<number>} passingPositions - Those of them passing the current tag state
+ * @param {Object} state - Current { included, excluded, modes }
+ * @returns {Object} Counts keyed by tag id
+ */
+function countTagOptions(index, positions, passingPositions, { included, excluded, modes }) {
+    const postingFor = tag => index.postings.get(normalizeTag(tag)) || new Set();
+    const groupOf = tag => index.categoryIds.includes(tag) ? 'categories' : 'types';
+    const passing = new Set(passingPositions);
+
+    // Adding a tag to an OR group lets in the entries passing every other group that
+    // the group's current union misses, so each such group is resolved once
+    const orGroups = {};
+    for (const group of ['categories', 'types']) {
+        const wanted = included.filter(tag => groupOf(tag) === group);
+        if (modes[group] !== 'or' || wanted.length === 0) continue;
+        const others = resolveTagPostings(index, { included: included.filter(tag => groupOf(tag) !== group), excluded, modes });
+        orGroups[group] = {
+            base: new Set(narrowByTagPostings(positions, others)),
+            union: new Set(wanted.flatMap(tag => [...postingFor(tag)])),
+        };
+    }
+
+    const counts = {};
+    for (const tag of [...index.categoryIds, ...index.tagVocabulary.map(({ id }) => id)]) {
+        const posting = postingFor(tag);
+        const orGroup = orGroups[groupOf(tag)];
+        let count = 0;
+
+        if (included.includes(tag)) {
+            count = passing.size;
+        } else if (excluded.includes(tag)) {
+            // Un-excluding changes every group, so the few excluded tags resolve the whole state
+            count = narrowByTagPostings(positions, resolveTagPostings(index, {
+                included: [...included, tag],
+                excluded: excluded.filter(excludedTag => excludedTag !== tag),
+                modes,
+            })).length;
+        } else if (orGroup) {
+            count = passing.size;
+            posting.forEach(position => {
+                if (orGroup.base.has(position) && !orGroup.union.has(position)) count++;
+            });
+        } else {
+            // Adding a tag to an AND group (or an empty group) only narrows the current results
+            const [smaller, larger] = posting.size < passing.size ? [posting, passing] : [passing, posting];
+            smaller.forEach(position => {
+                if (larger.has(position)) count++;
+            });
         }
+        counts[tag] = count;
+    }
+    return counts;
+}
+
+/**
+ * Applies the tag buttons to the entries matching everything else and counts the buttons.
+ * Must stay self-contained: it is also serialized into the filter worker.
+ * @param {Object} index - Catalog index (or its worker copy)
+ * @param {Array<number>} positions - Entries matching everything but the tag buttons
+ * @param {Object} state - Current { included, excluded, modes }
+ * @returns {Object} { positions: entries passing the tag state, counts: keyed by tag id }
+ */
+function applyTagStateWithCounts(index, positions, state) {
+    const passing = narrowByTagPostings(positions, resolveTagPostings(index, state));
+    return { positions: passing, counts: countTagOptions(index, positions, passing, state) };
+}
+
+/**
+ * Applies the tag buttons and counts them, moving large jobs to the worker
+ * @param {Object} index - Catalog index
+ * @param {Array<number>} positions - Entries matching everything but the tag buttons
+ * @param {Object} state - Current { included, excluded, modes }
+ * @returns {Promise<Object>} { positions, counts }
+ */
+function queryTagCounts(index, positions, state) {
+    const workload = positions.length * (index.categoryIds.length + index.tagVocabulary.length);
+    return runFilterJob(index, workload, { type: 'tags', positions, tagState: state },
+        () => applyTagStateWithCounts(index, positions, state));
+}
+
+/**
+ * Syncs the include/exclude classes of the filter buttons with the tag state
+ */
+function syncTagButtons() {
+    document.querySelectorAll('.tag-button, .category-button').forEach(button => {
+        button.classList.toggle('selected', selectedTags.includes(button.dataset.tag));
+        button.classList.toggle('excluded', excludedTags.includes(button.dataset.tag));
     });
+    document.querySelectorAll('.group-mode-toggle').forEach(toggle => {
+        toggle.textContent = extension_settings.mlpchag.tagGroupModes[toggle.dataset.group].toUpperCase();
+    });
+}
+
+/**
+ * Returns the state class of a filter button for the popup template
+ * @param {string} tag - Tag or category id
+ * @returns {string} 'selected', 'excluded' or ''
+ */
+function getTagButtonClass(tag) {
+    if (selectedTags.includes(tag)) return 'selected';
+    if (excludedTags.includes(tag)) return 'excluded';
+    return '';
 }
 
 // ==========================================================================
@@ -471,146 +3625,75 @@ function updateTagCountDisplay() {
 /**
  * Fetches and filters characters based on search criteria
  * @param {Object} options - Search options (searchTerm, page)
- * @returns {Array} Filtered and paginated character list
+ * @returns {Array|null} Filtered and paginated character list, or null when a newer search started meanwhile
  */
 async function fetchCharactersBySearch({ searchTerm, page = 1 }) {
+    const requestId = ++searchRequestId;
     try {
-        // Check if we have valid cached data
-        const now = Date.now();
-        const shouldUseCache = extension_settings.mlpchag.cacheEnabled && 
-                            cachedData &&
-                            (now - lastFetchTime < CACHE_DURATION);
-                            
-        let maresData, filters;
-        
-        if (shouldUseCache) {
-            console.log('Using cached character data');
-            [maresData, filters] = cachedData;
-        } else {
-            console.log('Fetching fresh character data');
-            // Show loading indicator
-            if (characterListContainer) {
-                characterListContainer.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Loading characters...</p></div>';
-            }
-            
-            // Fetch both character data and filters simultaneously
-            const [maresResponse, filtersResponse] = await Promise.all([
-                fetch(MARES_ENDPOINT, { cache: "no-cache" }),
-                fetch(`${API_ENDPOINT}/assets/filters.json`, { cache: "no-cache" })
-            ]);
-
-            if (!maresResponse.ok) {
-                throw new Error(`Failed to fetch characters: ${maresResponse.status} ${maresResponse.statusText}`);
-            }
-            if (!filtersResponse.ok) {
-                throw new Error(`Failed to fetch filters: ${filtersResponse.status} ${filtersResponse.statusText}`);
-            }
+        const index = getCatalogIndex(await loadCatalog());
+        const tagState = getTagState();
+        const countTags = extension_settings.mlpchag.autoLoadTags;
 
-            [maresData, filters] = await Promise.all([
-                maresResponse.json(),
-                filtersResponse.json()
-            ]);
-            
-            // Update cache
-            cachedData = [maresData, filters];
-            lastFetchTime = now;
-        }
+        // Tag counts need the matches before the tag buttons apply, so the postings narrow them afterwards
+        const matches = await queryCatalogIndex(index, {
+            query: parseSearchQuery(searchTerm),
+            tagState: countTags ? null : tagState,
+            showNSFW: extension_settings.mlpchag.showNSFW,
+        });
 
-        // Process and filter characters
-        let characters = Object.entries(maresData)
-            .filter(([key, value]) => {
-                // Basic validation
-                if (!value || typeof value !== 'object' || !value.name || !value.author || value.error) {
-                    return false;
-                }
+        // A newer search owns the list now
+        if (requestId !== searchRequestId) return null;
 
-                const normalizedKey = key.replace(/\\/g, '/');
-                const backslashKey = key.replace(/\//g, '\\');
-                
-                // Handle NSFW settings
-                if (!extension_settings.mlpchag.showNSFW) {
-                    const nsfwPaths = filters['nsfw'] || [];
-                    if (nsfwPaths.some(path => path.replace(/\\/g, '/') === normalizedKey)) {
-                        return false;
-                    }
-                }
+        // Library and favorites filters apply before the tag buttons so their counts agree with the list
+        const library = buildLibraryLookup();
+        const pool = matches.filter(({ position }) => {
+            const char = index.entries[position];
+            char.installed = !!findLibraryMatch(char, library);
+            return (!extension_settings.mlpchag.hideInstalled || !char.installed) &&
+                (!favoritesOnly || isFavorite(char.path));
+        });
 
-                // Handle category filtering
-                const isInAnyCategory = ['nsfw', 'anthro', 'eqg'].some(category => {
-                    const categoryPaths = filters[category] || [];
-                    return categoryPaths.some(path => path.replace(/\\/g, '/') === normalizedKey);
-                });
-
-                const selectedCategories = selectedTags.filter(tag => 
-                    ['nsfw', 'anthro', 'eqg'].includes(tag));
-                const selectedRegularTags = selectedTags.filter(tag => 
-                    !['nsfw', 'anthro', 'eqg'].includes(tag));
-
-                // Category filtering logic
-                if (selectedCategories.length > 0) {
-                    const isInSelectedCategory = selectedCategories.some(category => {
-                        const categoryPaths = filters[category] || [];
-                        return categoryPaths.some(path => 
-                            path.replace(/\\/g, '/') === normalizedKey);
-                    });
-                    if (!isInSelectedCategory) {
-                        return false;
-                    }
-                }
+        let tagged = pool;
+        let counts = {};
+        if (countTags) {
+            const tagResult = await queryTagCounts(index, pool.map(({ position }) => position), tagState);
+            if (requestId !== searchRequestId) return null;
+            const passing = new Set(tagResult.positions);
+            tagged = pool.filter(({ position }) => passing.has(position));
+            counts = tagResult.counts;
+        }
 
-                // Regular tag filtering
-                if (selectedRegularTags.length > 0) {
-                    const cardTags = filters.tags[normalizedKey] || 
-                                   filters.tags[backslashKey] || [];
-                    return selectedRegularTags.every(tag => 
-                        cardTags.some(cardTag => 
-                            cardTag.toLowerCase() === tag.toLowerCase()
-                        )
-                    );
-                }
+        renderTagBar(index);
+        tagOptionCounts = counts;
 
-                return true;
-            })
-            .map(([key, value]) => {
-                // Transform character data
-                const normalizedKey = key.replace(/\\/g, '/');
-                const backslashKey = key.replace(/\//g, '\\');
-                
-                return {
-                    ...value,
-                    path: key,
-                    url: `${API_ENDPOINT}/cards/${key}`,
-                    name: value.name || 'Unknown',
-                    author: value.author || 'Unknown',
-                    description: value.description || '',
-                    dateupdate: value.dateupdate || new Date().toISOString(),
-                    datecreate: value.datecreate || value.dateupdate || new Date().toISOString(),
-                    tags: filters.tags[normalizedKey] || filters.tags[backslashKey] || []
-                };
+        const characters = tagged
+            .map(({ position, relevance }) => {
+                const character = index.entries[position];
+                character.relevance = relevance;
+                return character;
             });
 
         // Store for global access
         mlpcharacters = characters;
 
         // Calculate tag counts
-        updateTagCounts(characters, filters);
-
-        // Apply search term filter if present
-        if (searchTerm) {
-            const term = searchTerm.toLowerCase();
-            characters = characters.filter(char => 
-                char.name.toLowerCase().includes(term) || 
-                char.author.toLowerCase().includes(term)
-            );
-        }
+        updateTagCounts(characters);
+        updateUpdatesButton();
 
         // Apply sorting
         applySorting(characters);
 
+        // Record the real totals and keep the page within them
+        const state = getSearchState();
+        state.total = characters.length;
+        state.pageCount = Math.max(1, Math.ceil(characters.length / extension_settings.mlpchag.findCount));
+        state.page = Math.min(Math.max(1, page), state.pageCount);
+
         // Apply pagination
-        return paginateResults(characters, page);
+        return paginateResults(characters, state.page);
 
     } catch (error) {
+        if (requestId !== searchRequestId) return null;
         console.error('Error fetching characters:', error);
         if (characterListContainer) {
             characterListContainer.innerHTML = `<div class="error">Error: ${error.message}</div>`;
@@ -619,27 +3702,56 @@ async function fetchCharactersBySearch({ searchTerm, page = 1 }) {
     }
 }
 
+/**
+ * Builds a normalized character entry from raw catalog data
+ * @param {string} key - Card path as listed in mares.json
+ * @param {Object} value - Raw character data
+ * @param {Object} filters - Filter definitions
+ * @param {Object} categoryPaths - Normalized path Sets per category
+ * @returns {Object} Character entry
+ */
+function createCharacterEntry(key, value, filters, categoryPaths) {
+    const normalizedKey = key.replace(/\\/g, '/');
+    const backslashKey = key.replace(/\//g, '\\');
+
+    const character = {
+        ...value,
+        path: key,
+        url: `${API_ENDPOINT}/cards/${key}`,
+        name: value.name || 'Unknown',
+        author: value.author || 'Unknown',
+        description: value.description || '',
+        dateupdate: value.dateupdate || new Date().toISOString(),
+        datecreate: value.datecreate || value.dateupdate || new Date().toISOString(),
+        tags: filters.tags[normalizedKey] || filters.tags[backslashKey] || [],
+        categories: Object.keys(categoryPaths).filter(category => categoryPaths[category].has(normalizedKey)),
+    };
+
+    // Precomputed search fields
+    character.nameLower = character.name.toLowerCase();
+    character.authorLower = character.author.toLowerCase();
+    character.nameWords = splitWords(character.nameLower);
+    character.authorWords = splitWords(character.authorLower);
+    character.tagSet = new Set([...character.tags.map(normalizeTag), ...character.categories]);
+    character.searchText = SEARCH_FIELDS
+        .map(field => Array.isArray(character[field]) ? character[field].join('\n') : character[field] || '')
+        .join('\n')
+        .toLowerCase();
+
+    return character;
+}
+
 /**
  * Updates the tag count statistics
  * @param {Array} characters - List of characters
- * @param {Object} filters - Filter definitions
  */
-function updateTagCounts(characters, filters) {
+function updateTagCounts(characters) {
     tagCounts = {};
     characters.forEach(char => {
-        // Count regular tags
-        char.tags.forEach(tag => {
+        // Count regular tags and special categories
+        [...char.tags, ...char.categories].forEach(tag => {
             tagCounts[tag] = (tagCounts[tag] || 0) + 1;
         });
-        
-        // Count special categories
-        ['nsfw', 'anthro', 'eqg'].forEach(category => {
-            const normalizedKey = char.path.replace(/\\/g, '/');
-            const categoryPaths = filters[category] || [];
-            if (categoryPaths.some(path => path.replace(/\\/g, '/') === normalizedKey)) {
-                tagCounts[category] = (tagCounts[category] || 0) + 1;
-            }
-        });
     });
 }
 
@@ -648,10 +3760,7 @@ function updateTagCounts(characters, filters) {
  * @param {Array} characters - List of characters to sort
  */
 function applySorting(characters) {
-    const sortSelect = document.getElementById('sortSelect');
-    if (!sortSelect) return;
-
-    const sortType = sortSelect.value;
+    const sortType = getSearchState().sort;
     characters.sort((a, b) => {
         switch (sortType) {
             case 'name':
@@ -660,6 +3769,9 @@ function applySorting(characters) {
                 return a.author.localeCompare(b.author);
             case 'datecreate':
                 return new Date(b.datecreate) - new Date(a.datecreate);
+            case 'relevance':
+                return (b.relevance - a.relevance) ||
+                    (new Date(b.dateupdate) - new Date(a.dateupdate));
             default:
                 return new Date(b.dateupdate) - new Date(a.dateupdate);
         }
@@ -685,104 +3797,471 @@ function paginateResults(characters, page) {
 /**
  * Executes the character search and updates the UI
  * @param {Object} options - Search options (searchTerm, page)
+ * @returns {Promise<boolean>} False when the results were dropped for a newer search
  */
 async function executeCharacterSearch(options) {
     try {
         const characters = await fetchCharactersBySearch(options);
+        if (characters === null) return false;
         
-        if (characters && characters.length > 0) {
+        if (isGridLayout()) {
+            // The grid scrolls through every result instead of paging
+            updateCharacterListInView(mlpcharacters);
+        } else if (characters && characters.length > 0) {
             updateCharacterListInView(characters);
         } else {
-            handleNoSearchResults(options);
+            handleNoSearchResults();
         }
     } catch (error) {
         console.error('Search error:', error);
         characterListContainer.innerHTML = '<div class="error">Error loading characters</div>';
     }
+    return true;
 }
 
 /**
  * Handles the case when no search results are found
- * @param {Object} options - Search options
  */
-function handleNoSearchResults(options) {
-    if (options.page === 1) {
-        characterListContainer.innerHTML = '<div class="no-characters-found">No characters found</div>';
-    } else {
-        const prevPage = options.page - 1;
-        document.getElementById('pageNumber').textContent = prevPage;
-        executeCharacterSearch({ ...options, page: prevPage });
-    }
+function handleNoSearchResults() {
+    currentPageCharacters = [];
+    characterListContainer.innerHTML = '<div class="no-characters-found">No characters found</div>';
+    updateTagCountDisplay();
 }
 
 // ==========================================================================
 // Tag System Management
 // ==========================================================================
 
+/**
+ * Renders a filter button
+ * @param {Object} tag - { id, label, color }
+ * @param {string} kind - 'category' or 'tag'
+ * @returns {string} HTML string for the button
+ */
+function renderFilterButton(tag, kind) {
+    const colorVariable = kind === 'category' ? '--category-color' : '--tag-color';
+    return `
+        <button class="${kind}-button ${getTagButtonClass(tag.id)}"
+            data-tag="${sanitizeText(tag.id)}"
+            data-label="${sanitizeText(tag.label.toLowerCase())}"
+            ${tag.color ? `style="${colorVariable}: ${tag.color}"` : ''}>
+            ${sanitizeText(tag.label)} <span class="tag-count" style="display: none;">(0)</span>
+        </button>`;
+}
+
+/**
+ * Builds the category and tag buttons from the vocabulary of the loaded catalog
+ * @param {Object} index - Catalog index
+ */
+function renderTagBar(index) {
+    const container = document.querySelector('.tags-container');
+    if (!container || tagBarSource === index.source) return;
+    tagBarSource = index.source;
+
+    const categories = index.categoryIds.map(id => {
+        const curated = CATEGORIES.find(category => category.id === id);
+        return curated || { id, label: id.charAt(0).toUpperCase() + id.slice(1), color: null };
+    });
+    container.querySelector('.categories-buttons').innerHTML = categories
+        .map(category => renderFilterButton(category, 'category')).join('');
+
+    const curatedTags = index.tagVocabulary.filter(tag => tag.curated);
+    const otherTags = index.tagVocabulary.filter(tag => !tag.curated);
+    container.querySelector('.curated-tags-row').innerHTML = curatedTags
+        .map(tag => renderFilterButton(tag, 'tag')).join('');
+    container.querySelector('.other-tags-row').innerHTML = otherTags
+        .map(tag => renderFilterButton(tag, 'tag')).join('');
+    container.querySelector('.other-tags-divider').style.display = otherTags.length > 0 ? '' : 'none';
+
+    filterOtherTags(container.querySelector('.other-tags-search')?.value || '');
+}
+
+/**
+ * Shows only the "Other tags" buttons whose label contains the search text
+ * @param {string} text - Type-ahead text
+ */
+function filterOtherTags(text) {
+    const needle = text.trim().toLowerCase();
+    document.querySelectorAll('.other-tags-row .tag-button').forEach(button => {
+        const visible = !needle || button.dataset.label.includes(needle) ||
+            selectedTags.includes(button.dataset.tag) || excludedTags.includes(button.dataset.tag);
+        button.style.display = visible ? '' : 'none';
+    });
+}
+
 /**
  * Sets up event handlers for tag filtering system
  */
 function setupTagHandlers() {
-    // Setup handlers for both regular tags and categories
-    const allFilterButtons = document.querySelectorAll('.tag-button, .category-button');
-    allFilterButtons.forEach(button => {
-        button.addEventListener('click', () => {
+    const container = document.querySelector('.tags-container');
+
+    // Buttons are rebuilt whenever the catalog changes, so clicks are delegated
+    container?.addEventListener('click', (e) => {
+        const button = e.target.closest('.tag-button, .category-button');
+        if (button) {
             const tagId = button.dataset.tag;
-            button.classList.toggle('selected');
-            
-            // Update selected tags array
-            selectedTags = Array.from(document.querySelectorAll('.tag-button.selected, .category-button.selected'))
-                .map(btn => btn.dataset.tag);
+
+            // Cycle through include -> exclude -> off
+            if (selectedTags.includes(tagId)) {
+                selectedTags = selectedTags.filter(tag => tag !== tagId);
+                excludedTags = [...excludedTags, tagId];
+            } else if (excludedTags.includes(tagId)) {
+                excludedTags = excludedTags.filter(tag => tag !== tagId);
+            } else {
+                selectedTags = [...selectedTags, tagId];
+            }
+            syncTagButtons();
 
             // Reset to first page and execute search
             resetPageAndSearch();
-        });
+            return;
+        }
+
+        // Setup AND/OR switches for the button groups
+        const toggle = e.target.closest('.group-mode-toggle');
+        if (toggle) {
+            const modes = extension_settings.mlpchag.tagGroupModes;
+            modes[toggle.dataset.group] = modes[toggle.dataset.group] === 'or' ? 'and' : 'or';
+            syncTagButtons();
+            saveSettingsDebounced();
+            resetPageAndSearch();
+        }
+    });
+
+    // Setup type-ahead for the "Other tags" group
+    container?.querySelector('.other-tags-search')?.addEventListener('input', (e) => {
+        filterOtherTags(e.target.value);
+    });
+
+    // Setup hide installed toggle
+    document.getElementById('hideInstalledBtn')?.addEventListener('click', () => {
+        updateSetting('hideInstalled', !extension_settings.mlpchag.hideInstalled);
+        applySettingEffects('hideInstalled');
     });
 
+    setupFavoriteHandlers();
+
     // Setup clear filters button
     document.querySelector('.clear-tags-button')?.addEventListener('click', () => {
         selectedTags = [];
-        document.querySelectorAll('.tag-button, .category-button').forEach(btn => {
-            btn.classList.remove('selected');
-        });
+        excludedTags = [];
+        syncTagButtons();
         resetPageAndSearch();
     });
 }
 
 /**
- * Resets page number and executes new search
+ * Resets page number and scroll position and executes new search
  */
 function resetPageAndSearch() {
-    const pageNumberSpan = document.getElementById('pageNumber');
-    if (pageNumberSpan) {
-        pageNumberSpan.textContent = '1';
+    updateSearch({ page: 1, scrollTop: 0, gridLoadedCount: 0 });
+}
+
+// ==========================================================================
+// Search Presets
+// ==========================================================================
+
+/**
+ * Renders the options of the preset select
+ * @returns {string} HTML option elements
+ */
+function renderPresetOptions() {
+    const { searchPresets, defaultPreset } = extension_settings.mlpchag;
+    return `<option value="">Saved searches...</option>` + Object.keys(searchPresets).map(name => `
+        <option value="${sanitizeText(name)}">${name === defaultPreset ? '&#9733; ' : ''}${sanitizeText(name)}</option>
+    `).join('');
+}
+
+/**
+ * Refreshes the preset select, keeping a preset selected
+ * @param {string} [selectedName] - Preset to select afterwards
+ */
+function refreshPresetSelect(selectedName = '') {
+    const select = document.getElementById('presetSelect');
+    if (!select) return;
+    select.innerHTML = renderPresetOptions();
+    select.value = selectedName;
+}
+
+/**
+ * Captures the current search state as a preset
+ * @returns {Object} Preset
+ */
+function captureSearchPreset() {
+    return {
+        searchTerm: getSearchState().searchTerm,
+        selectedTags: [...selectedTags],
+        excludedTags: [...excludedTags],
+        tagGroupModes: { ...extension_settings.mlpchag.tagGroupModes },
+        sort: getSearchState().sort,
+        showNSFW: extension_settings.mlpchag.showNSFW,
+        findCount: extension_settings.mlpchag.findCount,
+    };
+}
+
+/**
+ * Applies a preset to the search state and the popup controls without searching
+ * @param {Object} preset - Preset to apply
+ */
+function applyPresetState(preset) {
+    selectedTags = [...(preset.selectedTags || [])];
+    excludedTags = [...(preset.excludedTags || [])];
+    if (preset.tagGroupModes) {
+        extension_settings.mlpchag.tagGroupModes = { ...preset.tagGroupModes };
     }
-    
-    executeCharacterSearch({
-        searchTerm: document.getElementById('characterSearchInput')?.value || '',
-        page: 1
+    extension_settings.mlpchag.showNSFW = !!preset.showNSFW;
+    extension_settings.mlpchag.findCount = preset.findCount || extension_settings.mlpchag.findCount;
+
+    const state = getSearchState();
+    state.searchTerm = preset.searchTerm || '';
+    if (preset.sort) state.sort = preset.sort;
+
+    const searchInput = document.getElementById('characterSearchInput');
+    if (searchInput) searchInput.value = state.searchTerm;
+
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) sortSelect.value = state.sort;
+
+    syncTagButtons();
+
+    syncSettingsControls();
+}
+
+/**
+ * Asks for a preset name
+ * @param {string} message - Prompt text
+ * @param {string} [initialName] - Prefilled name
+ * @returns {Promise<string>} Trimmed name, empty if cancelled
+ */
+async function promptPresetName(message, initialName = '') {
+    const name = await callGenericPopup(message, POPUP_TYPE.INPUT, initialName);
+    return typeof name === 'string' ? name.trim() : '';
+}
+
+/**
+ * Sets up the preset select and its management buttons
+ */
+function setupPresetHandlers() {
+    const select = document.getElementById('presetSelect');
+    if (!select) return;
+
+    const presets = extension_settings.mlpchag.searchPresets;
+
+    select.addEventListener('change', () => {
+        const preset = Object.hasOwn(presets, select.value) ? presets[select.value] : null;
+        if (preset) {
+            applyPresetState(preset);
+            saveSettingsDebounced();
+            resetPageAndSearch();
+        }
+    });
+
+    document.getElementById('savePresetBtn')?.addEventListener('click', async () => {
+        const name = await promptPresetName('Save the current search as:', select.value);
+        if (!name) return;
+        if (Object.hasOwn(presets, name) && name !== select.value) {
+            const result = await callGenericPopup(`<h3>Overwrite the preset "${sanitizeText(name)}"?</h3>`, POPUP_TYPE.CONFIRM);
+            if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+        }
+        presets[name] = captureSearchPreset();
+        saveSettingsDebounced();
+        refreshPresetSelect(name);
+        toastr.success(`Saved preset "${name}"`);
+    });
+
+    document.getElementById('renamePresetBtn')?.addEventListener('click', async () => {
+        const oldName = select.value;
+        if (!Object.hasOwn(presets, oldName)) {
+            toastr.warning('Select a preset to rename');
+            return;
+        }
+        const newName = await promptPresetName('Rename the preset to:', oldName);
+        if (!newName || newName === oldName) return;
+        if (Object.hasOwn(presets, newName)) {
+            toastr.warning(`A preset named "${newName}" already exists`);
+            return;
+        }
+        presets[newName] = presets[oldName];
+        delete presets[oldName];
+        if (extension_settings.mlpchag.defaultPreset === oldName) {
+            extension_settings.mlpchag.defaultPreset = newName;
+        }
+        saveSettingsDebounced();
+        refreshPresetSelect(newName);
+    });
+
+    document.getElementById('defaultPresetBtn')?.addEventListener('click', () => {
+        const name = select.value;
+        if (!Object.hasOwn(presets, name)) {
+            toastr.warning('Select a preset to use as default');
+            return;
+        }
+        const isDefault = extension_settings.mlpchag.defaultPreset === name;
+        extension_settings.mlpchag.defaultPreset = isDefault ? null : name;
+        saveSettingsDebounced();
+        refreshPresetSelect(name);
+        toastr.info(isDefault ? `"${name}" is no longer the default` : `"${name}" will be applied when the popup opens`);
+    });
+
+    document.getElementById('deletePresetBtn')?.addEventListener('click', async () => {
+        const name = select.value;
+        if (!Object.hasOwn(presets, name)) {
+            toastr.warning('Select a preset to delete');
+            return;
+        }
+        const result = await callGenericPopup(`<h3>Delete the preset "${sanitizeText(name)}"?</h3>`, POPUP_TYPE.CONFIRM);
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+        delete presets[name];
+        if (extension_settings.mlpchag.defaultPreset === name) {
+            extension_settings.mlpchag.defaultPreset = null;
+        }
+        saveSettingsDebounced();
+        refreshPresetSelect();
     });
 }
 
+// ==========================================================================
+// Search State
+// ==========================================================================
+
+/**
+ * Sort options offered in the sort select
+ */
+const SORT_OPTIONS = [
+    ['relevance', 'Best match'],
+    ['dateupdate', 'Latest Updated'],
+    ['datecreate', 'Latest Created'],
+    ['name', 'Name (A-Z)'],
+    ['author', 'Author (A-Z)'],
+];
+
+/**
+ * Creates a search state with the default query and sort
+ * @returns {Object} Search state
+ */
+function createSearchState() {
+    return {
+        searchTerm: '', // Raw search input
+        sort: extension_settings.mlpchag.defaultSort, // Active sort option
+        page: 1, // Current page of the list layout
+        total: 0, // Results after every filter
+        pageCount: 1, // Pages the results span
+        scrollTop: 0, // Scroll position of the result list
+        gridLoadedCount: 0, // Results the grid had loaded at that position
+    };
+}
+
+/**
+ * Returns the search state, creating it on first use
+ * @returns {Object} Search state
+ */
+function getSearchState() {
+    if (!searchState) {
+        searchState = createSearchState();
+    }
+    return searchState;
+}
+
+/**
+ * Applies changes to the search state, runs the search and syncs every control with the result
+ * @param {Object} [changes] - Search state fields to change
+ */
+async function updateSearch(changes = {}) {
+    const state = getSearchState();
+    const previousPage = state.page;
+
+    // Other results start at the top; a stored scroll position belongs to the previous ones
+    if (['searchTerm', 'sort', 'page'].some(key => key in changes && changes[key] !== state[key])) {
+        state.scrollTop = 0;
+        state.gridLoadedCount = 0;
+    }
+    Object.assign(state, changes);
+
+    // A newer search takes over the scroll position and controls
+    if (!await executeCharacterSearch({ searchTerm: state.searchTerm, page: state.page })) return;
+
+    // A new list page starts at the top
+    const scroller = getListScroller();
+    if (scroller && !isGridLayout() && state.page !== previousPage) {
+        scroller.scrollTop = 0;
+    }
+    renderSearchControls();
+}
+
+/**
+ * Syncs the search input, sort select, page indicator and result count with the search state
+ */
+function renderSearchControls() {
+    const state = getSearchState();
+
+    const searchInput = document.getElementById('characterSearchInput');
+    if (searchInput && document.activeElement !== searchInput) {
+        searchInput.value = state.searchTerm;
+    }
+
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) sortSelect.value = state.sort;
+
+    const pageJumpInput = document.getElementById('pageJumpInput');
+    if (pageJumpInput) {
+        pageJumpInput.value = state.page;
+        pageJumpInput.max = state.pageCount;
+    }
+
+    const pageCountSpan = document.getElementById('pageCount');
+    if (pageCountSpan) pageCountSpan.textContent = state.pageCount;
+
+    const prevButton = document.getElementById('prevPageButton');
+    if (prevButton) prevButton.disabled = state.page <= 1;
+
+    const nextButton = document.getElementById('nextPageButton');
+    if (nextButton) nextButton.disabled = state.page >= state.pageCount;
+
+    const resultCountSpan = document.getElementById('resultCount');
+    if (resultCountSpan) resultCountSpan.textContent = state.total;
+}
+
 // ==========================================================================
 // Popup Display Management
 // ==========================================================================
 
 /**
- * Displays the character list view in a popup
+ * Displays the character list view in a popup, restoring the search state
  */
 async function displayCharactersInListViewPopup() {
     const listLayout = generateListLayout();
+    leavePreview();
     callPopup(listLayout, 'text', '', { wide: true });
     
     // Initialize containers and handlers
+    tagBarSource = null;
     characterListContainer = document.querySelector('.character-list-popup');
     if (characterListContainer && !characterListContainer.dataset.listenerAttached) {
         characterListContainer.addEventListener('click', handleCharacterListClick);
         characterListContainer.dataset.listenerAttached = 'true';
     }
     setupTagHandlers();
+    setupSelectionHandlers();
+    setupPresetHandlers();
+
     await initializeSearchAndNavigation();
+
+    // Scroll back to where the list was left, then keep track of it
+    const state = getSearchState();
+    const scroller = getListScroller();
+    if (!scroller) return;
+    if (state.scrollTop) {
+        if (isGridLayout()) {
+            gridLoadedCount = Math.min(gridCharacters.length, Math.max(gridLoadedCount, state.gridLoadedCount));
+            renderGridWindow();
+        }
+        scroller.scrollTop = state.scrollTop;
+    }
+    scroller.addEventListener('scroll', () => {
+        state.scrollTop = scroller.scrollTop;
+        state.gridLoadedCount = gridLoadedCount;
+    }, { passive: true });
 }
 
 /**
@@ -795,74 +4274,110 @@ function generateListLayout() {
         <div class="search-header">
             <div class="search-controls">
                 <div class="search-bar">
-                    <input type="text" id="characterSearchInput" placeholder="Search for characters...">
+                    <input type="text" id="characterSearchInput" placeholder="Search for characters..."
+                        value="${sanitizeText(getSearchState().searchTerm)}"
+                        title='Searches names, authors, descriptions, personalities, scenarios and greetings. Supports author:name, tag:name, -tag:name, "quoted phrases" and OR'>
                     <select id="sortSelect" class="sort-select">
-                        <option value="dateupdate">Latest Updated</option>
-                        <option value="datecreate">Latest Created</option>
-                        <option value="name">Name (A-Z)</option>
-                        <option value="author">Author (A-Z)</option>
+                        ${SORT_OPTIONS.map(([value, label]) => `
+                            <option value="${value}" ${getSearchState().sort === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="presets-bar">
+                    <select id="presetSelect" class="preset-select" title="Saved searches">
+                        ${renderPresetOptions()}
                     </select>
+                    <button id="savePresetBtn" class="action-button" title="Save the current search as a preset">
+                        <i class="fa-solid fa-floppy-disk"></i> Save
+                    </button>
+                    <button id="renamePresetBtn" class="action-button" title="Rename the selected preset">
+                        <i class="fa-solid fa-pen"></i>
+                    </button>
+                    <button id="defaultPresetBtn" class="action-button" title="Apply the selected preset when the popup opens with no previous search">
+                        <i class="fa-solid fa-thumbtack"></i>
+                    </button>
+                    <button id="deletePresetBtn" class="action-button" title="Delete the selected preset">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
                 </div>
                 <div class="action-buttons">
+                    <button id="authorIndexBtn" class="action-button">
+                        <i class="fa-solid fa-users"></i> Authors
+                    </button>
                     <button id="randomCharacterBtn" class="action-button">
                         <i class="fa-solid fa-dice"></i> Random
                     </button>
+                    <button id="rouletteBtn" class="action-button" title="Pick from ${ROULETTE_SIZE} random candidates">
+                        <i class="fa-solid fa-dice-three"></i> Roulette
+                    </button>
+                    <button id="layoutToggleBtn" class="action-button"></button>
                     <button id="settingsToggleBtn" class="action-button">
                         <i class="fa-solid fa-cog"></i> Settings
                     </button>
+                    <button id="updatesBtn" class="action-button" style="display:none;">
+                        <i class="fa-solid fa-bell"></i> Updates available (<span class="updates-count">0</span>)
+                    </button>
                     <button id="batchToggleBtn" class="action-button">
                         <i class="fa-solid fa-list-check"></i> Batch download
                     </button>
                     <button id="downloadSelectedBtn" class="action-button" style="display:none;">
                         <i class="fa-solid fa-download"></i> Download selected
                     </button>
+                    <button id="exportZipBtn" class="action-button" style="display:none;">
+                        <i class="fa-solid fa-file-zipper"></i> Export as ZIP
+                    </button>
+                </div>
+                <div id="selectionBar" class="selection-bar" style="display: none;">
+                    <div class="selection-controls">
+                        <span class="selection-count">0 selected</span>
+                        <button class="action-button select-page">Select page</button>
+                        <button class="action-button select-all-results">Select all results</button>
+                        <button class="action-button select-invert">Invert</button>
+                        <button class="action-button select-clear">Clear</button>
+                    </div>
+                    <div class="selection-chips"></div>
                 </div>
+                <div id="downloadQueuePanel" class="download-queue" style="display: none;"></div>
                 <div id="settingsPanel" class="settings-panel" style="display: none;">
                     <h3>Settings</h3>
                     <div class="settings-options">
-                        <div class="setting-item">
-                            <label for="showNSFW">Show NSFW content</label>
-                            <input type="checkbox" id="showNSFW" ${extension_settings.mlpchag.showNSFW ? 'checked' : ''}>
-                        </div>
-                        <div class="setting-item">
-                            <label for="cacheEnabled">Enable caching</label>
-                            <input type="checkbox" id="cacheEnabled" ${extension_settings.mlpchag.cacheEnabled ? 'checked' : ''}>
-                        </div>
-                        <div class="setting-item">
-                            <label for="showTagCount">Show tag counts</label>
-                            <input type="checkbox" id="showTagCount" ${extension_settings.mlpchag.showTagCount ? 'checked' : ''}>
-                        </div>
-                        <div class="setting-item">
-                            <label for="findCountSelect">Characters per page</label>
-                            <select id="findCountSelect">
-                                <option value="10" ${extension_settings.mlpchag.findCount === 10 ? 'selected' : ''}>10</option>
-                                <option value="20" ${extension_settings.mlpchag.findCount === 20 ? 'selected' : ''}>20</option>
-                                <option value="30" ${extension_settings.mlpchag.findCount === 30 ? 'selected' : ''}>30</option>
-                                <option value="50" ${extension_settings.mlpchag.findCount === 50 ? 'selected' : ''}>50</option>
-                            </select>
-                        </div>
+                        ${POPUP_SETTING_KEYS.map(key => renderSettingControl(key, 'mlpchag_popup')).join('')}
                     </div>
                     <button id="clearCacheBtn" class="clear-cache-button">Clear Cache</button>
                 </div>
                 <div class="tags-container">
                     <div class="categories-row">
-                        ${CATEGORIES.map(category => `
-                            <button class="category-button" 
-                                data-tag="${category.id}"
-                                style="--category-color: ${category.color}">
-                                ${category.label} ${extension_settings.mlpchag.showTagCount ? `<span class="tag-count">(0)</span>` : ''}
-                            </button>
-                        `).join('')}
+                        <div class="categories-buttons"></div>
+                        <button class="group-mode-toggle" data-group="categories"
+                            title="Whether included categories are combined with AND or OR">${extension_settings.mlpchag.tagGroupModes.categories.toUpperCase()}</button>
                     </div>
-                    <div class="tags-divider">Types</div>
-                    <div class="tags-row">
-                        ${TAGS.map(tag => `
-                            <button class="tag-button" 
-                                data-tag="${tag.id}"
-                                style="--tag-color: ${tag.color}">
-                                ${tag.label} ${extension_settings.mlpchag.showTagCount ? `<span class="tag-count">(0)</span>` : ''}
-                            </button>
-                        `).join('')}
+                    <div class="tags-divider">
+                        Types
+                        <button class="group-mode-toggle" data-group="types"
+                            title="Whether included types are combined with AND or OR">${extension_settings.mlpchag.tagGroupModes.types.toUpperCase()}</button>
+                        <span class="tags-hint">Click a tag to include, again to exclude, once more to clear</span>
+                    </div>
+                    <div class="tags-row curated-tags-row"></div>
+                    <div class="tags-divider other-tags-divider" style="display: none;">
+                        Other tags
+                        <input type="text" class="other-tags-search" placeholder="Find a tag...">
+                    </div>
+                    <div class="tags-row other-tags-row"></div>
+                    <div class="filter-toggles">
+                        <button id="favoritesOnlyBtn" class="filter-toggle ${favoritesOnly ? 'selected' : ''}">
+                            <i class="fa-solid fa-star"></i> Favorites only
+                        </button>
+                        <select id="favoriteListSelect" class="favorite-list-select" title="Favorite list for stars and the favorites view">
+                            ${renderFavoriteListOptions()}
+                        </select>
+                        <button id="newFavoriteListBtn" class="filter-toggle" title="New favorite list"><i class="fa-solid fa-plus"></i></button>
+                        <button id="deleteFavoriteListBtn" class="filter-toggle" title="Delete favorite list"><i class="fa-solid fa-trash"></i></button>
+                        <button id="exportFavoritesBtn" class="filter-toggle" title="Export favorite list as JSON"><i class="fa-solid fa-file-export"></i></button>
+                        <button id="importFavoritesBtn" class="filter-toggle" title="Import favorite lists from JSON"><i class="fa-solid fa-file-import"></i></button>
+                        <input type="file" id="importFavoritesInput" accept=".json,application/json" hidden>
+                        <button id="hideInstalledBtn" class="filter-toggle ${extension_settings.mlpchag.hideInstalled ? 'selected' : ''}">
+                            <i class="fa-solid fa-eye-slash"></i> Hide installed
+                        </button>
                     </div>
                     <button class="clear-tags-button">Clear All Filters</button>
                 </div>
@@ -881,7 +4396,10 @@ function generateListLayout() {
                 <button id="prevPageButton">
                     <i class="fa-solid fa-chevron-left"></i> Previous
                 </button>
-                <span id="pageNumber">1</span>
+                <span class="page-indicator">
+                    Page <input type="number" id="pageJumpInput" min="1" value="1" title="Jump to page">
+                    of <span id="pageCount">1</span>
+                </span>
                 <button id="nextPageButton">
                     Next <i class="fa-solid fa-chevron-right"></i>
                 </button>
@@ -897,46 +4415,41 @@ function generateListLayout() {
  * Initializes search and navigation functionality
  */
 async function initializeSearchAndNavigation() {
-    let currentPage = 1;
-    await executeCharacterSearch({ searchTerm: '', page: currentPage });
+    await updateSearch();
 
     const searchInput = document.getElementById('characterSearchInput');
     const sortSelect = document.getElementById('sortSelect');
     const prevButton = document.getElementById('prevPageButton');
     const nextButton = document.getElementById('nextPageButton');
-    const pageNumberSpan = document.getElementById('pageNumber');
+    const pageJumpInput = document.getElementById('pageJumpInput');
     const randomCharacterBtn = document.getElementById('randomCharacterBtn');
+    const rouletteBtn = document.getElementById('rouletteBtn');
+    const authorIndexBtn = document.getElementById('authorIndexBtn');
     const settingsToggleBtn = document.getElementById('settingsToggleBtn');
+    const layoutToggleBtn = document.getElementById('layoutToggleBtn');
     const batchToggleBtn = document.getElementById('batchToggleBtn');
     const downloadSelectedBtn = document.getElementById('downloadSelectedBtn');
+    const exportZipBtn = document.getElementById('exportZipBtn');
+    const updatesBtn = document.getElementById('updatesBtn');
     const settingsPanel = document.getElementById('settingsPanel');
-    const resultCountSpan = document.getElementById('resultCount');
     
     // Settings elements
-    const showNSFWCheckbox = document.getElementById('showNSFW');
-    const cacheEnabledCheckbox = document.getElementById('cacheEnabled');
-    const showTagCountCheckbox = document.getElementById('showTagCount');
-    const findCountSelect = document.getElementById('findCountSelect');
     const clearCacheBtn = document.getElementById('clearCacheBtn');
 
-    // Update result count display
-    if (resultCountSpan) {
-        resultCountSpan.textContent = mlpcharacters.length;
-    }
-
     // Setup search input handler
     if (searchInput) {
         const handleSearch = debounce(() => {
-            currentPage = 1;
-            pageNumberSpan.textContent = currentPage;
-            executeCharacterSearch({ 
-                searchTerm: searchInput.value,
-                page: currentPage
-            }).then(() => {
-                if (resultCountSpan) {
-                    resultCountSpan.textContent = mlpcharacters.length;
-                }
-            });
+            // Rank by relevance while searching, fall back to the default sort afterwards
+            const state = getSearchState();
+            const hadSearchTerm = state.searchTerm.trim() !== '';
+            const hasSearchTerm = searchInput.value.trim() !== '';
+            const changes = { searchTerm: searchInput.value, page: 1 };
+            if (hasSearchTerm && !hadSearchTerm) {
+                changes.sort = 'relevance';
+            } else if (!hasSearchTerm && hadSearchTerm && state.sort === 'relevance') {
+                changes.sort = extension_settings.mlpchag.defaultSort;
+            }
+            updateSearch(changes);
         }, 300);
 
         searchInput.addEventListener('input', handleSearch);
@@ -945,41 +4458,72 @@ async function initializeSearchAndNavigation() {
     // Setup sort handler
     if (sortSelect) {
         sortSelect.addEventListener('change', () => {
-            executeCharacterSearch({
-                searchTerm: searchInput.value,
-                page: currentPage
-            });
+            updateSearch({ sort: sortSelect.value });
         });
     }
 
+    // Setup author index button
+    if (authorIndexBtn) {
+        authorIndexBtn.addEventListener('click', displayAuthorIndex);
+    }
+
     // Setup random character button
     if (randomCharacterBtn) {
         randomCharacterBtn.addEventListener('click', () => {
             const randomChar = getRandomCharacter();
             if (randomChar) {
                 // Show preview for the random character
-                const modal = createPreviewModal(randomChar);
-                callPopup(modal, 'html');
-                setupPreviewModalInteractions();
+                showCharacterPreview(randomChar);
             } else {
-                toastr.error('No characters available for random selection');
+                warnNoRandomCandidates();
+            }
+        });
+    }
+
+    if (rouletteBtn) {
+        rouletteBtn.addEventListener('click', () => {
+            if (pickRandomCharacters(1).length === 0) {
+                warnNoRandomCandidates();
+                return;
             }
+            displayRandomPicker();
         });
     }
 
+    // Updates view
+    if (updatesBtn) {
+        updatesBtn.addEventListener('click', displayUpdatesView);
+    }
+
     // Batch mode toggle
     if (batchToggleBtn && downloadSelectedBtn) {
         batchToggleBtn.addEventListener('click', () => {
             batchMode = !batchMode;
-            selectedPaths = [];
+            clearSelection();
             downloadSelectedBtn.style.display = batchMode ? 'inline-flex' : 'none';
-            updateCharacterListInView(mlpcharacters);
+            if (exportZipBtn) {
+                exportZipBtn.style.display = batchMode ? 'inline-flex' : 'none';
+            }
+            updateCharacterListInView(currentPageCharacters);
         });
 
-        downloadSelectedBtn.addEventListener('click', async () => {
-            for (const path of selectedPaths) {
-                await downloadCharacter(path);
-            }
+        downloadSelectedBtn.addEventListener('click', () => {
+            startBatchDownload([...selectedPaths]);
+        });
+    }
+
+    if (exportZipBtn) {
+        exportZipBtn.addEventListener('click', () => {
+            exportCardsAsZip([...selectedPaths]);
+        });
+    }
+
+    // List/grid layout toggle
+    if (layoutToggleBtn) {
+        syncLayoutControls();
+        layoutToggleBtn.addEventListener('click', () => {
+            updateSetting('layout', extension_settings.mlpchag.layout === 'grid' ? 'list' : 'grid');
+            applySettingEffects('layout');
         });
     }
 
@@ -992,83 +4536,251 @@ async function initializeSearchAndNavigation() {
     }
 
     // Settings handlers
-    if (showNSFWCheckbox) {
-        showNSFWCheckbox.addEventListener('change', () => {
-            extension_settings.mlpchag.showNSFW = showNSFWCheckbox.checked;
-            resetPageAndSearch();
-        });
-    }
-
-    if (cacheEnabledCheckbox) {
-        cacheEnabledCheckbox.addEventListener('change', () => {
-            extension_settings.mlpchag.cacheEnabled = cacheEnabledCheckbox.checked;
-        });
-    }
-
-    if (showTagCountCheckbox) {
-        showTagCountCheckbox.addEventListener('change', () => {
-            extension_settings.mlpchag.showTagCount = showTagCountCheckbox.checked;
-            
-            // Toggle tag count display without reloading
-            document.querySelectorAll('.tag-count').forEach(span => {
-                span.style.display = showTagCountCheckbox.checked ? 'inline' : 'none';
-            });
-        });
-    }
-
-    if (findCountSelect) {
-        findCountSelect.addEventListener('change', () => {
-            extension_settings.mlpchag.findCount = parseInt(findCountSelect.value);
-            resetPageAndSearch();
-        });
+    if (settingsPanel) {
+        settingsPanel.addEventListener('change', handleSettingControlChange);
     }
 
     if (clearCacheBtn) {
-        clearCacheBtn.addEventListener('click', () => {
-            cachedData = null;
-            lastFetchTime = 0;
+        clearCacheBtn.addEventListener('click', async () => {
+            await clearCatalogCache();
             toastr.success('Cache cleared successfully');
             resetPageAndSearch();
         });
     }
 
+    // Restore batch mode controls and a batch download that is still running or awaiting review
+    [downloadSelectedBtn, exportZipBtn].forEach(button => {
+        if (button) {
+            button.style.display = batchMode ? 'inline-flex' : 'none';
+        }
+    });
+    renderSelectionBar();
+    renderDownloadQueue();
+
     // Setup navigation handlers
-    setupNavigationHandlers(prevButton, nextButton, pageNumberSpan, searchInput, currentPage, resultCountSpan);
+    setupNavigationHandlers(prevButton, nextButton, pageJumpInput);
 }
 
 /**
  * Sets up pagination navigation handlers
  */
-function setupNavigationHandlers(prevButton, nextButton, pageNumberSpan, searchInput, currentPage, resultCountSpan) {
+function setupNavigationHandlers(prevButton, nextButton, pageJumpInput) {
     if (prevButton) {
         prevButton.addEventListener('click', async () => {
-            if (currentPage > 1) {
-                currentPage--;
-                pageNumberSpan.textContent = currentPage;
-                await executeCharacterSearch({
-                    searchTerm: searchInput.value,
-                    page: currentPage
-                });
+            const state = getSearchState();
+            if (state.page > 1) {
+                await updateSearch({ page: state.page - 1 });
             }
         });
     }
 
     if (nextButton) {
         nextButton.addEventListener('click', async () => {
-            currentPage++;
-            pageNumberSpan.textContent = currentPage;
-            await executeCharacterSearch({
-                searchTerm: searchInput.value,
-                page: currentPage
-            }).then(() => {
-                if (resultCountSpan) {
-                    resultCountSpan.textContent = mlpcharacters.length;
-                }
-            });
+            const state = getSearchState();
+            if (state.page < state.pageCount) {
+                await updateSearch({ page: state.page + 1 });
+            }
+        });
+    }
+
+    if (pageJumpInput) {
+        pageJumpInput.addEventListener('change', async () => {
+            const state = getSearchState();
+            const page = parseInt(pageJumpInput.value);
+            if (Number.isNaN(page)) {
+                pageJumpInput.value = state.page;
+                return;
+            }
+            await updateSearch({ page: Math.min(Math.max(1, page), state.pageCount) });
         });
     }
 }
 
+// ==========================================================================
+// Slash Commands
+// ==========================================================================
+
+/**
+ * Searches the catalog independently of the popup's filters
+ * @param {Object} options - { query, tags, nsfw } with tags as a comma-separated list, "-" excluding a tag
+ * @returns {Promise<Array<Object>>} Matching entries, best match first when there is a query
+ */
+async function searchCatalogForCommand({ query = '', tags = '', nsfw = extension_settings.mlpchag.showNSFW }) {
+    const index = getCatalogIndex(await loadCatalog());
+    const matches = await queryCatalogIndex(index, { query: parseSearchQuery(query), showNSFW: nsfw });
+
+    const tagTerms = String(tags).split(',').map(tag => tag.trim()).filter(Boolean);
+    const included = tagTerms.filter(tag => !tag.startsWith('-'));
+    const excluded = tagTerms.filter(tag => tag.startsWith('-')).map(tag => tag.slice(1));
+
+    return matches
+        .map(({ position, relevance }) => ({ entry: index.entries[position], relevance }))
+        .filter(({ entry }) => included.every(tag => characterHasTag(entry, tag)) &&
+            !excluded.some(tag => characterHasTag(entry, tag)))
+        .sort((a, b) => query.trim()
+            ? b.relevance - a.relevance
+            : new Date(b.entry.dateupdate) - new Date(a.entry.dateupdate))
+        .map(({ entry }) => entry);
+}
+
+/**
+ * Resolves a catalog path or character name to a catalog entry
+ * @param {string} nameOrPath - Card path, exact name, or search text
+ * @returns {Promise<Object|null>} Catalog entry or null
+ */
+async function resolveCatalogEntry(nameOrPath) {
+    const value = String(nameOrPath || '').trim();
+    if (!value) return null;
+
+    const index = getCatalogIndex(await loadCatalog());
+    const byPath = index.byPath.get(value) || index.byPath.get(value.replace(/\\/g, '/'));
+    if (byPath) return byPath;
+
+    const byName = index.entries.find(entry => entry.nameLower === value.toLowerCase());
+    if (byName) return byName;
+
+    const [best] = await searchCatalogForCommand({ query: value, nsfw: true });
+    return best || null;
+}
+
+/**
+ * Summarizes a catalog entry for command output
+ * @param {Object} entry - Catalog character entry
+ * @returns {Object} { name, author, path }
+ */
+function describeEntryForCommand(entry) {
+    return { name: entry.name, author: entry.author, path: entry.path };
+}
+
+/**
+ * Imports a catalog entry for a command, keeping the library copy unless duplicates are allowed
+ * @param {Object} entry - Catalog character entry
+ * @param {boolean} allowDuplicate - Import even when the card is already in the library
+ * @returns {Promise<string>} Avatar of the imported or already present character
+ */
+async function importEntryForCommand(entry, allowDuplicate) {
+    const existing = findLibraryMatch(entry);
+    if (existing && !allowDuplicate) {
+        toastr.info(`${entry.name} is already in your library`, '', { timeOut: 2000 });
+        return existing.avatar || '';
+    }
+
+    // Commands can run unattended in scripts, so they never stop to ask about lorebooks
+    const { lorebookImport } = extension_settings.mlpchag;
+    const avatar = await importCard(entry.path, undefined, lorebookImport === 'ask' ? 'never' : lorebookImport);
+    toastr.success(`${entry.name} imported`, '', { timeOut: 2000 });
+    return avatar || '';
+}
+
+/**
+ * Registers the /mlpchag-* slash commands
+ */
+function registerSlashCommands() {
+    const tagArgument = SlashCommandNamedArgument.fromProps({
+        name: 'tag',
+        description: 'comma-separated tags or categories to require, prefix with - to exclude',
+        typeList: [ARGUMENT_TYPE.STRING],
+    });
+    const nsfwArgument = SlashCommandNamedArgument.fromProps({
+        name: 'nsfw',
+        description: 'include NSFW cards, defaults to the extension setting',
+        typeList: [ARGUMENT_TYPE.BOOLEAN],
+    });
+    const duplicateArgument = SlashCommandNamedArgument.fromProps({
+        name: 'duplicate',
+        description: 'import another copy when the card is already in the library',
+        typeList: [ARGUMENT_TYPE.BOOLEAN],
+        defaultValue: 'false',
+    });
+    const getNsfw = args => args.nsfw !== undefined ? isTrueBoolean(String(args.nsfw)) : extension_settings.mlpchag.showNSFW;
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'mlpchag-search',
+        callback: async (args, query) => {
+            const limit = parseInt(args.limit) || 10;
+            const results = await searchCatalogForCommand({ query: String(query || ''), tags: args.tag || '', nsfw: getNsfw(args) });
+            return JSON.stringify(results.slice(0, limit).map(describeEntryForCommand));
+        },
+        returns: 'JSON array of { name, author, path } for the matching cards',
+        namedArgumentList: [
+            tagArgument,
+            nsfwArgument,
+            SlashCommandNamedArgument.fromProps({
+                name: 'limit',
+                description: 'maximum number of results',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                defaultValue: '10',
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'search query, supports author:, tag:, -tag:, "phrases" and OR',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: 'Searches MLPCHAG. Example: <code>/mlpchag-search tag=pegasus,-villain limit=5</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'mlpchag-import',
+        callback: async (args, nameOrPath) => {
+            const entry = await resolveCatalogEntry(nameOrPath);
+            if (!entry) {
+                toastr.warning(`No MLPCHAG card found for "${nameOrPath}"`);
+                return '';
+            }
+            return importEntryForCommand(entry, isTrueBoolean(String(args.duplicate)));
+        },
+        returns: 'avatar file name of the imported character, or of the library copy when it was already imported',
+        namedArgumentList: [duplicateArgument],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'card path, character name, or search text',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: 'Imports a card from MLPCHAG by path or name, unless it is already in the library and duplicate=true is not set. Example: <code>/mlpchag-import Rarity</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'mlpchag-random',
+        callback: async (args, query) => {
+            const results = await searchCatalogForCommand({ query: String(query || ''), tags: args.tag || '', nsfw: getNsfw(args) });
+            if (results.length === 0) {
+                toastr.warning('No MLPCHAG cards match');
+                return '';
+            }
+
+            const entry = results[Math.floor(Math.random() * results.length)];
+            const picked = describeEntryForCommand(entry);
+            if (isTrueBoolean(String(args.import))) {
+                picked.avatar = await importEntryForCommand(entry, isTrueBoolean(String(args.duplicate)));
+            }
+            return JSON.stringify(picked);
+        },
+        returns: 'JSON object { name, author, path } of the picked card, plus avatar when imported',
+        namedArgumentList: [
+            tagArgument,
+            nsfwArgument,
+            SlashCommandNamedArgument.fromProps({
+                name: 'import',
+                description: 'import the picked card',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+            }),
+            duplicateArgument,
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'optional search query to pick from',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: 'Picks a random MLPCHAG card. Example: <code>/mlpchag-random tag=unicorn import=true</code>',
+    }));
+}
+
 // ==========================================================================
 // Initialization and Event Setup
 // ==========================================================================
@@ -1078,7 +4790,18 @@ function setupNavigationHandlers(prevButton, nextButton, pageNumberSpan, searchI
  */
 function openSearchPopup() {
     batchMode = false;
-    selectedPaths = [];
+    selectedPaths = new Set();
+    lastSelectedPath = null;
+
+    // The first open starts from the default preset, later ones restore the last search
+    if (!searchState) {
+        searchState = createSearchState();
+        const { searchPresets, defaultPreset: defaultName } = extension_settings.mlpchag;
+        const defaultPreset = Object.hasOwn(searchPresets, defaultName) ? searchPresets[defaultName] : null;
+        if (defaultPreset) {
+            applyPresetState(defaultPreset);
+        }
+    }
     displayCharactersInListViewPopup();
 }
 
@@ -1095,7 +4818,9 @@ jQuery(async () => {
     
     // Setup click handler
     $('#search-mlpchag').on('click', openSearchPopup);
+    registerSlashCommands();
     
     // Load extension settings
     await loadSettings();
+    renderSettingsDrawer();
 });
\ No newline at end of file